@@ -0,0 +1,156 @@
+/**
+ * Amazon Tariff Checker
+ * Copyright (c) 2025 Dual Lens (https://duallens.substack.com)
+ * This code is licensed under the MIT License.
+ * For the full license text, see the LICENSE file in the project repository
+ * or visit: https://opensource.org/licenses/MIT
+ * DISCLAIMER: This extension is not affiliated with Amazon.com. It only processes
+ * information visible on the current page and does not collect or transmit user data.
+ * All analysis occurs locally within the browser.
+ */
+
+// htsbrowser.js - HTS code search and chapter -> heading -> subheading browser
+// for the popup. Reads the bundled dataset through scripts/htsdata.js.
+
+/**
+ * Set up the HTS search box and browser
+ * @param {Object} elements - Popup elements ({ searchInput, breadcrumb, results, sampleNote })
+ * @param {Function} onSelect - Called with the dotted HTS code the user picks
+ */
+function initializeHTSBrowser(elements, onSelect) {
+  const { searchInput, breadcrumb, results, sampleNote } = elements;
+  // Codes from the chapter down to the level being shown
+  let path = [];
+  let searchTimer = null;
+
+  searchInput.addEventListener('input', function() {
+    clearTimeout(searchTimer);
+    searchTimer = setTimeout(() => {
+      const query = searchInput.value.trim();
+      if (query) {
+        showSearchResults(query);
+      } else {
+        showLevel(path);
+      }
+    }, 200);
+  });
+
+  showLevel([]);
+
+  // Say so when the bundled dataset is only a sample of the schedule
+  loadHTSDataset()
+    .then(dataset => sampleNote.classList.toggle('hidden', !dataset.isSubset))
+    .catch(error => console.error('HTS dataset unavailable:', error));
+
+  async function showSearchResults(query) {
+    try {
+      const matches = await searchHTSCodes(query);
+      breadcrumb.textContent = matches.length > 0
+        ? `Results for "${query}"`
+        : `No HTS codes match "${query}"`;
+      renderEntries(matches);
+    } catch (error) {
+      console.error('HTS search failed:', error);
+      breadcrumb.textContent = 'Could not load the HTS dataset';
+      results.textContent = '';
+    }
+  }
+
+  async function showLevel(newPath) {
+    try {
+      const entries = await getHTSChildren(newPath[newPath.length - 1] || '');
+      path = newPath;
+      renderBreadcrumb();
+      renderEntries(entries);
+    } catch (error) {
+      console.error('HTS browser failed:', error);
+      breadcrumb.textContent = 'Could not load the HTS dataset';
+      results.textContent = '';
+    }
+  }
+
+  function renderBreadcrumb() {
+    breadcrumb.textContent = '';
+
+    const root = document.createElement('a');
+    root.href = '#';
+    root.textContent = 'All chapters';
+    root.addEventListener('click', event => {
+      event.preventDefault();
+      showLevel([]);
+
+  // Say so when the bundled dataset is only a sample of the schedule
+  loadHTSDataset()
+    .then(dataset => sampleNote.classList.toggle('hidden', !dataset.isSubset))
+    .catch(error => console.error('HTS dataset unavailable:', error));
+    });
+    breadcrumb.appendChild(root);
+
+    path.forEach((code, index) => {
+      breadcrumb.appendChild(document.createTextNode(' › '));
+
+      const link = document.createElement('a');
+      link.href = '#';
+      link.textContent = formatHTSCode(code);
+      link.addEventListener('click', event => {
+        event.preventDefault();
+        showLevel(path.slice(0, index + 1));
+      });
+      breadcrumb.appendChild(link);
+    });
+  }
+
+  function renderEntries(entries) {
+    results.textContent = '';
+
+    entries.forEach(entry => {
+      const item = document.createElement('li');
+      item.className = 'hts-entry';
+      item.title = entry.fullDescription || entry.description;
+
+      const label = document.createElement('span');
+      label.className = 'hts-entry-label';
+      label.textContent = `${entry.htsCode} ${entry.description}`;
+      item.appendChild(label);
+
+      if (entry.generalRateText) {
+        const rate = document.createElement('span');
+        rate.className = 'hts-entry-rate';
+        rate.textContent = entry.generalRateText;
+        item.appendChild(rate);
+      }
+
+      if (entry.isRateLine) {
+        const useButton = document.createElement('button');
+        useButton.className = 'secondary-button';
+        useButton.textContent = 'Use';
+        useButton.addEventListener('click', event => {
+          event.stopPropagation();
+          onSelect(entry.htsCode);
+        });
+        item.appendChild(useButton);
+      }
+
+      // Browser entries open when they have lines below them; search results
+      // don't know that, so headings from a search always open
+      if (entry.hasChildren || (entry.hasChildren === undefined && !entry.isRateLine)) {
+        item.classList.add('hts-entry-expandable');
+        item.addEventListener('click', () => {
+          searchInput.value = '';
+          showLevel(buildPath(entry.code));
+        });
+      }
+
+      results.appendChild(item);
+    });
+  }
+
+  function buildPath(code) {
+    // Chapter, heading and subheading codes leading to this code
+    const newPath = [];
+    for (let length = 2; length <= code.length; length += 2) {
+      newPath.push(code.substring(0, length));
+    }
+    return newPath;
+  }
+}
@@ -5,11 +5,88 @@ document.addEventListener('DOMContentLoaded', function() {
   const productInfoDiv = document.getElementById('productInfo');
   const tariffStatusDiv = document.getElementById('tariffStatus');
   const tariffAmountDiv = document.getElementById('tariffAmount');
+  const cacheStatusSpan = document.getElementById('cacheStatus');
+  const clearCacheButton = document.getElementById('clearCache');
+  const useInferredOriginCheckbox = document.getElementById('useInferredOrigin');
+  const accuracyStatusSpan = document.getElementById('accuracyStatus');
+  const clearAccuracyButton = document.getElementById('clearAccuracy');
+  const useCalibrationCheckbox = document.getElementById('useCalibration');
+  const calibrationFactorsList = document.getElementById('calibrationFactors');
+  const resetCalibrationButton = document.getElementById('resetCalibration');
+  const customsValueRatiosDiv = document.getElementById('customsValueRatios');
+  const passThroughModeSelect = document.getElementById('passThroughMode');
+  const passThroughPercentInput = document.getElementById('passThroughPercent');
   
   // Initialize popup
   initializePopup();
+  updateCacheStatus();
+  updateAccuracyStatus();
+  updateCalibrationStatus();
   
-  checkButton.addEventListener('click', async function() {
+  getUserSettings().then(settings => {
+    useInferredOriginCheckbox.checked = settings.useInferredOrigin;
+    showCustomsValueRatios(settings.customsValueRatios);
+    showPassThroughSetting(settings);
+  });
+  
+  useCalibrationCheckbox.addEventListener('change', function() {
+    saveUserSettings({ useCalibration: useCalibrationCheckbox.checked })
+      .then(updateCalibrationStatus)
+      .catch(error => console.error('Error saving settings:', error));
+  });
+  
+  resetCalibrationButton.addEventListener('click', function() {
+    // The deposits stay in the accuracy report; only the adjustments start over
+    saveUserSettings({ calibrationResetAt: new Date().toISOString() })
+      .then(updateCalibrationStatus)
+      .catch(error => console.error('Error saving settings:', error));
+  });
+  
+  useInferredOriginCheckbox.addEventListener('change', function() {
+    saveUserSettings({ useInferredOrigin: useInferredOriginCheckbox.checked })
+      .catch(error => console.error('Error saving settings:', error));
+  });
+  
+  clearCacheButton.addEventListener('click', function() {
+    clearCacheButton.disabled = true;
+    
+    chrome.runtime.sendMessage({ action: 'clearTariffCache' }, function(response) {
+      clearCacheButton.disabled = false;
+      
+      if (chrome.runtime.lastError || !response || response.error) {
+        cacheStatusSpan.textContent = 'Could not clear the cache';
+        return;
+      }
+      
+      updateCacheStatus();
+    });
+  });
+  
+  clearAccuracyButton.addEventListener('click', function() {
+    clearImportFeeRecords()
+      .then(() => Promise.all([updateAccuracyStatus(), updateCalibrationStatus()]))
+      .catch(error => console.error('Error clearing import fee records:', error));
+  });
+  
+  initializeHTSBrowser({
+    searchInput: document.getElementById('htsSearch'),
+    breadcrumb: document.getElementById('htsBreadcrumb'),
+    results: document.getElementById('htsResults'),
+    sampleNote: document.getElementById('htsSampleNote')
+  }, function(htsCode) {
+    // Re-run the estimate for the current product with the picked code
+    checkTariff(htsCode);
+  });
+  
+  checkButton.addEventListener('click', function() {
+    checkTariff();
+  });
+  
+  /**
+   * Run the tariff check on the current tab
+   * @param {string} htsCode - HTS code to use instead of the classifier's guess (optional)
+   */
+  async function checkTariff(htsCode = null) {
     // Set button to loading state
     checkButton.disabled = true;
     checkButton.textContent = 'Checking...';
@@ -32,9 +109,16 @@ document.addEventListener('DOMContentLoaded', function() {
         return;
       }
       
-      // Add a timeout to ensure we don't wait forever
+      // Add a timeout to ensure we don't wait forever. Reading the page takes
+      // a few seconds at most, but the estimate waits for the background
+      // tariff engine, which may first have to start up and load the HTS
+      // dataset and the classifier.
+      const PAGE_CHECK_TIMEOUT_MS = 5000;
+      const ENGINE_LOAD_TIMEOUT_MS = 15000;
+      let timeoutTimer = null;
       const timeoutPromise = new Promise((_, reject) => {
-        setTimeout(() => reject(new Error('Request timed out')), 5000);
+        timeoutTimer = setTimeout(() => reject(new Error('Request timed out')),
+                                  PAGE_CHECK_TIMEOUT_MS + ENGINE_LOAD_TIMEOUT_MS);
       });
       
       try {
@@ -48,7 +132,8 @@ document.addEventListener('DOMContentLoaded', function() {
         
         const modalExists = modalCheckResult[0].result;
         
-        if (modalExists) {
+        // A picked HTS code always needs a fresh estimate
+        if (modalExists && !htsCode) {
           // If modal exists, tell user it's there and update or remove it
           const refreshResult = await chrome.scripting.executeScript({
             target: { tabId: tab.id },
@@ -79,17 +164,30 @@ document.addEventListener('DOMContentLoaded', function() {
           }
         }
         
-        // Inject the main tariff checking script
+        // Tell the injected script which HTS code to use, if the user picked one
+        await chrome.scripting.executeScript({
+          target: { tabId: tab.id },
+          function: function(code) {
+            window.tariffCheckerHTSOverride = code;
+          },
+          args: [htsCode]
+        });
+        
+        // Inject the shared rate engine, the modal and the main tariff checking script
         const resultPromise = chrome.scripting.executeScript({
           target: { tabId: tab.id },
-          files: ['scripts/content-injection.js']
+          files: ['scripts/countries.js', 'scripts/rateschedule.js', 'scripts/customsvalue.js', 'scripts/tariffstack.js', 'scripts/tariffclient.js', 'scripts/productoverrides.js', 'scripts/usersettings.js', 'scripts/importfees.js', 'scripts/calibration.js', 'scripts/passthrough.js', 'scripts/originextractor.js', 'scripts/priceextractor.js', 'scripts/shipmentmode.js', 'scripts/productestimates.js', 'scripts/tariffmodal.js', 'scripts/variantwatcher.js', 'scripts/content-injection.js']
         });
         
         // Race between the execution and timeout
-        await Promise.race([resultPromise, timeoutPromise]);
+        const injectionResults = await Promise.race([resultPromise, timeoutPromise]);
         
         // If execution completed, show success message
-        statusDiv.textContent = 'Tariff information displayed on page';
+        statusDiv.textContent = htsCode
+          ? `Tariff information for HTS ${htsCode} displayed on page`
+          : 'Tariff information displayed on page';
+        showResultSummary(injectionResults[0] && injectionResults[0].result);
+        updateCacheStatus();
         
       } catch (error) {
         // Handle specific errors
@@ -113,6 +211,8 @@ document.addEventListener('DOMContentLoaded', function() {
         } else {
           statusDiv.textContent = 'Error: ' + (error.message || 'Could not check tariff status');
         }
+      } finally {
+        clearTimeout(timeoutTimer);
       }
     } catch (error) {
       statusDiv.textContent = 'Error: Could not access tab';
@@ -121,7 +221,142 @@ document.addEventListener('DOMContentLoaded', function() {
     
     // Reset button state
     resetButton();
-  });
+  }
+  
+  function showResultSummary(result) {
+    // The injected script resolves with the estimate from the background tariff engine
+    if (!result || !result.success) return;
+    
+    productInfoDiv.textContent = result.productData.productTitle;
+    tariffStatusDiv.textContent = result.isSubjectToTariff ? 'Subject to tariff tax' : 'Not subject to tariff tax';
+    
+    if (result.isSubjectToTariff) {
+      tariffAmountDiv.textContent = `Estimated tariff: $${result.tariffAmount.toFixed(2)} (${(result.tariffRate * 100).toFixed(1)}%)`;
+      tariffAmountDiv.classList.remove('hidden');
+    }
+    
+    resultDiv.classList.remove('hidden');
+  }
+  
+  function updateCacheStatus() {
+    // Ask the background tariff engine how many lookups it has cached
+    chrome.runtime.sendMessage({ action: 'getTariffCacheStats' }, function(response) {
+      if (chrome.runtime.lastError || !response || response.error) {
+        cacheStatusSpan.textContent = 'Cached lookups: unavailable';
+        return;
+      }
+      
+      cacheStatusSpan.textContent = `Cached lookups: ${response.stats.entries}`;
+    });
+  }
+  
+  function updateAccuracyStatus() {
+    // Compare the estimates with the import fees deposits seen at checkout
+    return getImportFeeRecords().then(records => {
+      const report = summarizeImportFeeAccuracy(records);
+      clearAccuracyButton.disabled = report.orders === 0;
+      
+      if (report.comparedOrders === 0) {
+        accuracyStatusSpan.textContent = report.orders === 0
+          ? 'Estimate accuracy: no import fees deposits seen at checkout yet'
+          : `Estimate accuracy: ${report.orders} deposits seen, none with every item estimated`;
+        accuracyStatusSpan.title = '';
+        return;
+      }
+      
+      const percent = report.meanAbsolutePercentDifference !== null
+        ? ` (${(report.meanAbsolutePercentDifference * 100).toFixed(0)}%)`
+        : '';
+      const direction = report.meanDifference >= 0 ? 'under' : 'over';
+      accuracyStatusSpan.textContent = `Estimate accuracy: off by $${report.meanAbsoluteDifference.toFixed(2)}${percent} ` +
+                                       `on average over ${report.comparedOrders} ${report.comparedOrders === 1 ? 'order' : 'orders'}`;
+      accuracyStatusSpan.title = `Import fees deposits: $${report.totalDeposit.toFixed(2)}. ` +
+                                 `Estimates: $${report.totalPredicted.toFixed(2)}, ` +
+                                 `${direction} by $${Math.abs(report.meanDifference).toFixed(2)} per order on average.`;
+    });
+  }
+  
+  function showPassThroughSetting(settings) {
+    Object.entries(PASS_THROUGH_PRESETS).forEach(([mode, preset]) => {
+      const option = document.createElement('option');
+      option.value = mode;
+      option.textContent = preset.label;
+      passThroughModeSelect.appendChild(option);
+    });
+    passThroughModeSelect.value = settings.passThroughMode;
+    passThroughPercentInput.value = settings.passThroughPercent;
+    passThroughPercentInput.classList.toggle('hidden', settings.passThroughMode !== 'custom');
+    
+    passThroughModeSelect.addEventListener('change', function() {
+      passThroughPercentInput.classList.toggle('hidden', passThroughModeSelect.value !== 'custom');
+      saveUserSettings({ passThroughMode: passThroughModeSelect.value })
+        .catch(error => console.error('Error saving settings:', error));
+    });
+    
+    passThroughPercentInput.addEventListener('change', function() {
+      const percent = Math.min(100, Math.max(0, parseFloat(passThroughPercentInput.value) || 0));
+      passThroughPercentInput.value = percent;
+      saveUserSettings({ passThroughPercent: percent })
+        .catch(error => console.error('Error saving settings:', error));
+    });
+  }
+  
+  function showCustomsValueRatios(customRatios) {
+    // One field per kind of product, in percent, empty for the default
+    CUSTOMS_VALUE_CATEGORIES.forEach(category => {
+      const row = document.createElement('label');
+      row.className = 'customs-ratio';
+      row.textContent = category.label;
+      
+      const input = document.createElement('input');
+      input.type = 'number';
+      input.min = '1';
+      input.max = '100';
+      input.placeholder = `${Math.round(category.ratio * 100)}%`;
+      input.value = customRatios[category.id] ? Math.round(customRatios[category.id] * 100) : '';
+      input.addEventListener('change', function() {
+        const percent = parseFloat(input.value);
+        const ratios = { ...customRatios };
+        if (percent > 0 && percent <= 100) {
+          ratios[category.id] = percent / 100;
+        } else {
+          delete ratios[category.id];
+          input.value = '';
+        }
+        customRatios = ratios;
+        saveUserSettings({ customsValueRatios: ratios })
+          .catch(error => console.error('Error saving settings:', error));
+      });
+      
+      row.appendChild(input);
+      customsValueRatiosDiv.appendChild(row);
+    });
+  }
+  
+  function updateCalibrationStatus() {
+    // List the adjustments the deposits have produced so far
+    return getCalibration().then(calibration => {
+      useCalibrationCheckbox.checked = calibration.enabled;
+      calibrationFactorsList.textContent = '';
+      
+      const factors = Object.values(calibration.factors)
+        .sort((a, b) => b.confidence - a.confidence);
+      factors.forEach(factor => {
+        const item = document.createElement('li');
+        item.textContent = describeCalibrationFactor(factor);
+        calibrationFactorsList.appendChild(item);
+      });
+      
+      if (factors.length === 0) {
+        const item = document.createElement('li');
+        item.textContent = calibration.enabled
+          ? `No adjustments yet${calibration.resetAt ? ' since the last reset' : ''}`
+          : 'Adjustments are turned off';
+        calibrationFactorsList.appendChild(item);
+      }
+      resetCalibrationButton.disabled = factors.length === 0;
+    });
+  }
   
   function resetButton() {
     checkButton.disabled = false;
@@ -147,10 +382,21 @@ document.addEventListener('DOMContentLoaded', function() {
       }
     });
     
+    // Date the rate schedule, and say when the de minimis exemption ended
+    const { lastUpdated, deMinimis } = TARIFF_RATE_SCHEDULE;
+    document.getElementById('scheduleLastUpdated').textContent = lastUpdated;
+    const countryEnds = Object.entries(deMinimis.countries)
+      .map(([code, rule]) => ` (for goods from ${getCountryName(code)}, on ${formatScheduleDate(rule.effectiveTo)})`)
+      .join('');
+    document.getElementById('deMinimisNotice').textContent =
+      `IMPORTANT UPDATE: The $${deMinimis.threshold} de minimis exemption ended on ${formatScheduleDate(deMinimis.effectiveTo)}` +
+      `${countryEnds}. Products shipped straight to you from abroad now pay duty however little they cost, ` +
+      'and postal shipments may pay a flat fee per item instead.';
+    
     // Display current tariff data version
     const dataVersionElement = document.createElement('div');
     dataVersionElement.classList.add('tariff-data-version');
-    dataVersionElement.textContent = 'Tariff data updated: May 2, 2025 (de minimis changes now in effect)';
+    dataVersionElement.textContent = `Tariff data updated: ${lastUpdated}`;
     dataVersionElement.style.fontSize = '11px';
     dataVersionElement.style.marginTop = '12px';
     dataVersionElement.style.textAlign = 'center';
@@ -0,0 +1,64 @@
+/**
+ * Amazon Tariff Checker
+ * Copyright (c) 2025 Dual Lens (https://duallens.substack.com)
+ * This code is licensed under the MIT License.
+ * For the full license text, see the LICENSE file in the project repository
+ * or visit: https://opensource.org/licenses/MIT
+ * DISCLAIMER: This extension is not affiliated with Amazon.com. It only processes
+ * information visible on the current page and does not collect or transmit user data.
+ * All analysis occurs locally within the browser.
+ */
+
+// background.js - Service worker hosting the tariff engine. Content scripts,
+// the popup-injected script and the popup ask it for estimates with a
+// { action: 'getTariffInfo' } message, so every estimate is computed here.
+// The estimates product pages remember are written here too, one at a time.
+
+importScripts('countries.js', 'rateschedule.js', 'customsvalue.js', 'tariffstack.js', 'tariffcache.js', 'htsdata.js', 'htsclassifier.js', 'tariffapi.js', 'productestimates.js');
+
+chrome.runtime.onMessage.addListener(function(request, sender, sendResponse) {
+  if (request.action === 'getTariffInfo') {
+    const asOf = request.asOf ? new Date(request.asOf) : new Date();
+    
+    getTariffInfo(request.productData, asOf)
+      .then(tariffData => {
+        console.log('Tariff calculated in background:', tariffData);
+        sendResponse({ success: true, tariffData });
+      })
+      .catch(error => {
+        console.error('Error calculating tariff in background:', error);
+        sendResponse({ error: 'Error calculating tariff: ' + error.message });
+      });
+    
+    return true; // Indicate we'll respond asynchronously
+  }
+  
+  if (request.action === 'getTariffCacheStats') {
+    getTariffCacheStats()
+      .then(stats => sendResponse({ success: true, stats }))
+      .catch(error => sendResponse({ error: 'Error reading tariff cache: ' + error.message }));
+    
+    return true;
+  }
+  
+  if (request.action === 'rememberProductEstimate') {
+    saveProductEstimate(request.asin, request.estimate)
+      .then(() => sendResponse({ success: true }))
+      .catch(error => sendResponse({ error: 'Error remembering product estimate: ' + error.message }));
+    
+    return true;
+  }
+  
+  if (request.action === 'clearTariffCache') {
+    clearTariffCache()
+      .then(() => {
+        console.log('Tariff cache cleared');
+        sendResponse({ success: true });
+      })
+      .catch(error => sendResponse({ error: 'Error clearing tariff cache: ' + error.message }));
+    
+    return true;
+  }
+});
+
+console.log('Tariff engine service worker loaded');
@@ -0,0 +1,186 @@
+/**
+ * Amazon Tariff Checker
+ * Copyright (c) 2025 Dual Lens (https://duallens.substack.com)
+ * This code is licensed under the MIT License.
+ * For the full license text, see the LICENSE file in the project repository
+ * or visit: https://opensource.org/licenses/MIT
+ * DISCLAIMER: This extension is not affiliated with Amazon.com. It only processes
+ * information visible on the current page and does not collect or transmit user data.
+ * All analysis occurs locally within the browser.
+ */
+
+// calibration.js - Corrects the estimates with the import fees deposits
+// recorded at checkout (importfees.js). Whatever the customs-value model
+// (customsvalue.js) and the rate engine get wrong for a country and
+// shipment mode - or for an HTS chapter within them, once there are enough
+// orders - shows up as a factor: how much the deposits were, relative to
+// the uncorrected estimates. Factors start at 1 and move towards what the
+// deposits show as more orders come in, and the confidence says how far
+// they have moved. The user can turn the correction off, or reset it to
+// ignore the orders recorded so far.
+
+// Orders' worth of evidence for "no correction" that every factor starts with
+var CALIBRATION_PRIOR_WEIGHT = 2;
+
+// Orders' worth of evidence an HTS chapter needs before its factor is used
+// in place of the country's, so one order can't decide a chapter
+var CALIBRATION_MIN_CHAPTER_WEIGHT = 3;
+
+// Factors are kept within these limits, so one odd order can't zero or
+// multiply an estimate
+var CALIBRATION_FACTOR_LIMITS = { min: 0.1, max: 3 };
+
+/**
+ * Fit the correction factors from recorded deposits. Each order's ratio of
+ * deposit to estimate counts for every item in it, weighted by the item's
+ * share of the estimate, and ratios are averaged on a log scale so halving
+ * and doubling cancel out. Flat postal fees are fixed amounts, so they are
+ * taken out of both the deposit and the estimate first. Items are grouped by
+ * shipment mode as well, since direct imports are valued at the price and
+ * domestic stock at the customs value, and items recorded without one are
+ * left out.
+ * @param {Array<Object>} records - Records from getImportFeeRecords
+ * @param {string|null} since - Only use orders recorded after this time (ISO date), if set
+ * @returns {Object} - Factors by key ('CN|courier' for a country, 'CN|courier|85' for a chapter),
+ *   each ({ factor, confidence, weight, orders, country, shipmentMode, chapter })
+ */
+function fitCalibrationFactors(records, since = null) {
+  const evidence = {};
+  const addEvidence = (key, country, shipmentMode, chapter, weight, logRatio, recordId) => {
+    if (!evidence[key]) evidence[key] = { country, shipmentMode, chapter, weight: 0, logTotal: 0, orders: new Set() };
+    evidence[key].weight += weight;
+    evidence[key].logTotal += weight * logRatio;
+    evidence[key].orders.add(recordId);
+  };
+
+  records
+    .filter(record => record.unmatchedASINs.length === 0 && record.predicted > 0 && record.deposit > 0)
+    .filter(record => !since || record.recordedAt > since)
+    .forEach(record => {
+      const flatFees = record.items.reduce((total, item) => total + (item.flatFee || 0), 0);
+      const predicted = record.predicted - flatFees;
+      const deposit = record.deposit - flatFees;
+      if (!(predicted > 0) || !(deposit > 0)) return;
+
+      const logRatio = Math.log(deposit / predicted);
+      record.items.forEach(item => {
+        const country = findCountryCode(item.countryOfOrigin);
+        if (!country || !item.shipmentMode || item.flatFee || !(item.predicted > 0)) return;
+
+        const weight = item.predicted / predicted;
+        const key = `${country}|${item.shipmentMode}`;
+        addEvidence(key, country, item.shipmentMode, null, weight, logRatio, record.id);
+        const chapter = getHTSChapter(item.htsCode);
+        if (chapter) addEvidence(`${key}|${chapter}`, country, item.shipmentMode, chapter, weight, logRatio, record.id);
+      });
+    });
+
+  const factors = {};
+  Object.entries(evidence).forEach(([key, entry]) => {
+    const factor = Math.exp(entry.logTotal / (entry.weight + CALIBRATION_PRIOR_WEIGHT));
+    factors[key] = {
+      factor: Math.min(CALIBRATION_FACTOR_LIMITS.max, Math.max(CALIBRATION_FACTOR_LIMITS.min, factor)),
+      confidence: entry.weight / (entry.weight + CALIBRATION_PRIOR_WEIGHT),
+      weight: entry.weight,
+      orders: entry.orders.size,
+      country: entry.country,
+      shipmentMode: entry.shipmentMode,
+      chapter: entry.chapter
+    };
+  });
+  return factors;
+}
+
+/**
+ * Read the user's calibration setting and fit the factors it allows
+ * @returns {Promise<Object>} - Calibration ({ enabled, resetAt, factors })
+ */
+async function getCalibration() {
+  const settings = await getUserSettings();
+  const factors = settings.useCalibration
+    ? fitCalibrationFactors(await getImportFeeRecords(), settings.calibrationResetAt)
+    : {};
+  return { enabled: settings.useCalibration, resetAt: settings.calibrationResetAt, factors };
+}
+
+/**
+ * Pick the factor for a product: its HTS chapter's when that has enough
+ * orders, otherwise its country's, both for the way it ships
+ * @param {Object} factors - Factors from fitCalibrationFactors
+ * @param {string} countryOfOrigin - Country of origin
+ * @param {string} shipmentMode - Shipment mode id the estimate used
+ * @param {string|null} htsCode - HTS code
+ * @returns {Object|null} - Factor ({ factor, confidence, orders, country, shipmentMode, chapter }), or null when there is none
+ */
+function findCalibrationFactor(factors, countryOfOrigin, shipmentMode, htsCode) {
+  const country = findCountryCode(countryOfOrigin);
+  if (!country || !shipmentMode) return null;
+
+  const key = `${country}|${shipmentMode}`;
+  const chapter = getHTSChapter(htsCode);
+  const chapterFactor = chapter ? factors[`${key}|${chapter}`] : null;
+  if (chapterFactor && chapterFactor.weight >= CALIBRATION_MIN_CHAPTER_WEIGHT) return chapterFactor;
+  return factors[key] || null;
+}
+
+/**
+ * Correct an estimate with the factor for its country, shipment mode and
+ * chapter. The price stays what the page shows, so the pre-tariff price
+ * takes up the difference. A flat postal fee is a fixed amount, not an
+ * estimate, so it is left as it is.
+ * @param {Object} productData - Product data
+ * @param {Object} tariffData - Uncorrected tariff information
+ * @param {Object} factors - Factors from fitCalibrationFactors
+ * @returns {Object} - Tariff information, with `calibration` ({ factor, confidence,
+ *   orders, country, shipmentMode, chapter, uncalibratedAmount }) when a factor was applied
+ */
+function applyCalibration(productData, tariffData, factors) {
+  if (!tariffData.isSubjectToTariff || tariffData.isUsingFlatFee) return tariffData;
+  const calibration = findCalibrationFactor(factors, productData.countryOfOrigin, tariffData.shipmentMode,
+                                            tariffData.htsCode || productData.htsCode);
+  if (!calibration) return tariffData;
+
+  const price = productData.price || 0;
+  const tariffAmount = tariffData.tariffAmount * calibration.factor;
+
+  return {
+    ...tariffData,
+    tariffAmount,
+    preTariffPrice: Math.max(0, price - tariffAmount),
+    tariffRate: tariffData.customsValue > 0 ? tariffAmount / tariffData.customsValue : tariffData.tariffRate,
+    retailShare: price > 0 ? tariffAmount / price : 0,
+    components: (tariffData.components || []).map(component => ({ ...component, amount: component.amount * calibration.factor })),
+    calibration: { ...calibration, uncalibratedAmount: tariffData.tariffAmount }
+  };
+}
+
+/**
+ * Correct an estimate with the current calibration, if it is turned on
+ * @param {Object} productData - Product data
+ * @param {Object} tariffData - Uncorrected tariff information
+ * @returns {Promise<Object>} - Tariff information
+ */
+async function calibrateTariffData(productData, tariffData) {
+  try {
+    const { enabled, factors } = await getCalibration();
+    return enabled ? applyCalibration(productData, tariffData, factors) : tariffData;
+  } catch (error) {
+    console.error('Error applying calibration:', error);
+    return tariffData;
+  }
+}
+
+/**
+ * Describe a factor for the user, e.g.
+ * "China, cross-border courier, HTS chapter 85: x0.62 from 3 orders (60% confidence)"
+ * @param {Object} calibration - Factor from findCalibrationFactor
+ * @returns {string} - Description
+ */
+function describeCalibrationFactor(calibration) {
+  const mode = TARIFF_RATE_SCHEDULE.shipmentModes[calibration.shipmentMode];
+  const scope = [getCountryName(calibration.country), mode ? mode.label.toLowerCase() : calibration.shipmentMode]
+    .concat(calibration.chapter ? [`HTS chapter ${calibration.chapter}`] : [])
+    .join(', ');
+  return `${scope}: x${calibration.factor.toFixed(2)} from ${calibration.orders} ` +
+         `${calibration.orders === 1 ? 'order' : 'orders'} (${(calibration.confidence * 100).toFixed(0)}% confidence)`;
+}
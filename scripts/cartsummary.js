@@ -0,0 +1,341 @@
+/**
+ * Amazon Tariff Checker
+ * Copyright (c) 2025 Dual Lens (https://duallens.substack.com)
+ * This code is licensed under the MIT License.
+ * For the full license text, see the LICENSE file in the project repository
+ * or visit: https://opensource.org/licenses/MIT
+ * DISCLAIMER: This extension is not affiliated with Amazon.com. It only processes
+ * information visible on the current page and does not collect or transmit user data.
+ * All analysis occurs locally within the browser.
+ */
+
+// cartsummary.js - Content script for the cart page. Adds the estimated
+// tariff to each item in the cart and a summary above them: the total, the
+// share of each country and the items contributing most. The cart doesn't
+// say where its items come from, so each item uses the origin and HTS code
+// found on its product page (productestimates.js); items never viewed get
+// the "?" badge from tariffbadge.js.
+
+// Items in the cart, not those saved for later
+var CART_ITEM_SELECTOR = '#sc-active-cart .sc-list-item[data-asin], ' +
+                         '[data-name="Active Items"] [data-asin][data-itemtype="active"]';
+
+// Marks what this script adds to the page, so its own changes don't start another update
+var CART_ADDITION_ATTRIBUTE = 'data-tariff-cart';
+
+// How many items the summary lists as the largest contributors
+var CART_TOP_CONTRIBUTORS = 3;
+
+// Estimates already made on this page, so changing one quantity doesn't
+// recalculate every item
+var cartItemEstimates = new Map();
+
+// Update state: the throttle timer, and whether an update is running or
+// another one was asked for meanwhile
+var cartUpdateTimer = null;
+var cartUpdateRunning = false;
+var cartUpdatePending = false;
+
+/**
+ * Read the quantity of a cart item
+ * @param {Element} item - Cart item
+ * @returns {number} - Quantity, at least 1
+ */
+function readCartQuantity(item) {
+  const quantityElement = item.querySelector('select[name="quantity"], input[name="quantityBox"], [data-a-selector="value"]');
+  const value = item.getAttribute('data-quantity') ||
+                (quantityElement ? quantityElement.value || quantityElement.textContent : '');
+  const quantity = parseInt(value, 10);
+  return quantity > 0 ? quantity : 1;
+}
+
+/**
+ * Read what the cart shows about an item
+ * @param {Element} item - Cart item
+ * @returns {Object|null} - Item ({ asin, productTitle, price, quantity, productUrl }), or null for placeholders
+ */
+function readCartItem(item) {
+  const asin = (item.getAttribute('data-asin') || '').toUpperCase();
+  if (!/^[A-Z0-9]{10}$/.test(asin)) return null;
+
+  const titleElement = item.querySelector('.sc-product-title .a-truncate-full, .sc-product-title, .sc-item-product-title-cont');
+  const priceElement = item.querySelector('.sc-product-price, .sc-item-price-block .a-price, .a-price');
+  const link = item.querySelector('a.sc-product-link[href], a[href*="/dp/"], a[href*="/gp/product/"]');
+  const listedPrice = parseFloat(item.getAttribute('data-price'));
+
+  return {
+    asin,
+    productTitle: titleElement ? cleanOriginText(titleElement.textContent) : asin,
+    price: listedPrice > 0 ? listedPrice : (priceElement ? readPriceElement(priceElement) || 0 : 0),
+    quantity: readCartQuantity(item),
+    productUrl: link ? link.href : `${window.location.origin}/dp/${asin}`
+  };
+}
+
+/**
+ * Estimate the tariff on one unit of a cart item, with the origin, HTS code
+ * and shipment mode remembered from its product page. The amount is always
+ * estimated again, since the remembered one may predate a change to the
+ * calibration or the user's settings.
+ * @param {Object} cartItem - Item from readCartItem
+ * @param {Object|null} remembered - Estimate remembered for the item's ASIN
+ * @returns {Promise<Object>} - Estimate ({ productData, tariffData, reused }); tariffData is null when the origin is unknown
+ */
+async function estimateCartItem(cartItem, remembered) {
+  // A country the product page only guessed counts while inferred origins are turned on
+  const isInferred = !!remembered && remembered.originTier === 'inferred';
+  const productData = await loadProductOverrides(await applyOriginSetting({
+    asin: cartItem.asin,
+    productTitle: cartItem.productTitle,
+    price: cartItem.price,
+    category: remembered ? remembered.category : '',
+    countryOfOrigin: remembered && !isInferred ? remembered.countryOfOrigin : 'Unknown',
+    originTier: remembered ? remembered.originTier || 'stated' : null,
+    originSource: isInferred ? { country: remembered.countryOfOrigin, excerpt: remembered.originBasis } : null,
+    originBasis: remembered ? remembered.originBasis : null,
+    htsCode: remembered ? remembered.htsCode : null,
+    shipmentMode: remembered ? remembered.shipmentMode : null,
+    productUrl: cartItem.productUrl
+  }));
+  if (!productData.countryOfOrigin || productData.countryOfOrigin === 'Unknown') {
+    return { productData, tariffData: null, reused: false };
+  }
+
+  const estimateKey = `${productData.asin}|${productData.countryOfOrigin}|${productData.price}|${productData.htsCode || ''}|${productData.shipmentMode || ''}`;
+  let tariffData = cartItemEstimates.get(estimateKey);
+  if (!tariffData) {
+    tariffData = await requestTariffInfo(productData);
+    cartItemEstimates.set(estimateKey, tariffData);
+  }
+  return { productData, tariffData, reused: !!remembered };
+}
+
+/**
+ * Show a badge under a cart item's title, replacing the one shown before
+ * @param {Element} item - Cart item
+ * @param {HTMLElement} badge - Badge element
+ */
+function placeCartBadge(item, badge) {
+  const existing = item.querySelector(`[${CART_ADDITION_ATTRIBUTE}="badge"]`);
+  if (existing) existing.remove();
+
+  const container = document.createElement('div');
+  container.setAttribute(CART_ADDITION_ATTRIBUTE, 'badge');
+  container.appendChild(badge);
+
+  const title = item.querySelector('.sc-product-title, .sc-item-product-title-cont');
+  if (title) {
+    title.insertAdjacentElement('afterend', container);
+  } else {
+    item.appendChild(container);
+  }
+}
+
+/**
+ * Add up the cart's estimates
+ * @param {Array<Object>} lines - Items with their estimates ({ cartItem, productData, tariffData, reused })
+ * @returns {Object} - Summary ({ total, subtotal, countries, contributors, unknownCount, reusedCount });
+ *   countries ({ country, amount, share }) and contributors ({ productTitle, quantity, amount }) are largest first
+ */
+function summarizeCart(lines) {
+  const summary = { total: 0, subtotal: 0, countries: [], contributors: [], unknownCount: 0, reusedCount: 0 };
+  const byCountry = {};
+
+  lines.forEach(({ cartItem, productData, tariffData, reused }) => {
+    summary.subtotal += productData.price * cartItem.quantity;
+    if (!tariffData) {
+      summary.unknownCount++;
+      return;
+    }
+    if (reused) summary.reusedCount++;
+
+    const amount = tariffData.tariffAmount * cartItem.quantity;
+    summary.total += amount;
+    byCountry[productData.countryOfOrigin] = (byCountry[productData.countryOfOrigin] || 0) + amount;
+    if (amount > 0) {
+      summary.contributors.push({ productTitle: productData.productTitle, quantity: cartItem.quantity, amount });
+    }
+  });
+
+  summary.countries = Object.entries(byCountry)
+    .map(([country, amount]) => ({ country, amount, share: summary.total > 0 ? amount / summary.total : 0 }))
+    .sort((a, b) => b.amount - a.amount);
+  summary.contributors = summary.contributors
+    .sort((a, b) => b.amount - a.amount)
+    .slice(0, CART_TOP_CONTRIBUTORS);
+
+  return summary;
+}
+
+/**
+ * Build the summary shown above the cart items
+ * @param {Object} summary - Summary from summarizeCart
+ * @returns {HTMLElement} - Summary element
+ */
+function createCartSummary(summary) {
+  const panel = document.createElement('div');
+  panel.setAttribute(CART_ADDITION_ATTRIBUTE, 'summary');
+  panel.style.cssText = `
+    margin: 10px 0;
+    padding: 10px 14px;
+    border: 1px solid #f5c6c6;
+    border-radius: 8px;
+    background-color: #fff4f4;
+    font-family: Arial, sans-serif;
+    font-size: 13px;
+    color: #333;
+  `;
+
+  const heading = document.createElement('p');
+  const share = summary.subtotal > 0 ? ` (${(summary.total / summary.subtotal * 100).toFixed(1)}% of the $${summary.subtotal.toFixed(2)} in the cart)` : '';
+  heading.textContent = `Estimated tariff in this cart: ~$${summary.total.toFixed(2)}${share}`;
+  heading.style.cssText = 'margin: 0 0 6px 0; font-weight: bold; font-size: 15px; color: #B12704;';
+  panel.appendChild(heading);
+
+  const addLine = (text, style = '') => {
+    const line = document.createElement('p');
+    line.textContent = text;
+    line.style.cssText = `margin: 2px 0; ${style}`;
+    panel.appendChild(line);
+  };
+
+  if (summary.countries.length > 0) {
+    addLine(`By country: ${summary.countries
+      .map(entry => `${entry.country} ${(entry.share * 100).toFixed(0)}% ($${entry.amount.toFixed(2)})`)
+      .join(', ')}`);
+  }
+  if (summary.contributors.length > 0) {
+    addLine(`Largest contributors: ${summary.contributors
+      .map(entry => `${entry.productTitle.substring(0, 40)}${entry.productTitle.length > 40 ? '...' : ''}` +
+                    `${entry.quantity > 1 ? ` (x${entry.quantity})` : ''} $${entry.amount.toFixed(2)}`)
+      .join('; ')}`);
+  }
+  if (summary.unknownCount > 0) {
+    addLine(summary.unknownCount === 1
+      ? '1 item isn\'t included because the cart doesn\'t say where it\'s made. Open it with its "Tariff ?" badge to add it.'
+      : `${summary.unknownCount} items aren't included because the cart doesn't say where they're made. ` +
+        'Open them with their "Tariff ?" badges to add them.', 'color: #e77600;');
+  }
+  if (summary.reusedCount > 0) {
+    addLine(summary.reusedCount === 1
+      ? 'The origin of 1 item comes from your earlier visit to its product page.'
+      : `The origins of ${summary.reusedCount} items come from your earlier visits to their product pages.`,
+            'font-size: 12px; color: #555; font-style: italic;');
+  }
+
+  return panel;
+}
+
+/**
+ * Estimate every item in the cart, badge each one and show the summary
+ * @returns {Promise<void>}
+ */
+async function updateCartEstimates() {
+  const items = Array.from(document.querySelectorAll(CART_ITEM_SELECTOR))
+    .map(element => ({ element, cartItem: readCartItem(element) }))
+    .filter(item => item.cartItem);
+
+  const existingSummary = document.querySelector(`[${CART_ADDITION_ATTRIBUTE}="summary"]`);
+  if (items.length === 0) {
+    if (existingSummary) existingSummary.remove();
+    return;
+  }
+
+  const remembered = await getProductEstimates(items.map(item => item.cartItem.asin));
+  const lines = [];
+  // One at a time, so a large cart doesn't flood the tariff engine
+  for (const { element, cartItem } of items) {
+    try {
+      const estimate = await estimateCartItem(cartItem, remembered[cartItem.asin] || null);
+      lines.push({ cartItem, ...estimate });
+
+      const badge = estimate.tariffData
+        ? createTariffBadge({ ...estimate.productData, price: estimate.productData.price * cartItem.quantity },
+                            { ...estimate.tariffData, tariffAmount: estimate.tariffData.tariffAmount * cartItem.quantity })
+        : createUnknownOriginBadge(estimate.productData);
+      placeCartBadge(element, badge);
+    } catch (error) {
+      console.error('Error estimating cart item', cartItem.asin, error);
+    }
+  }
+
+  const summary = summarizeCart(lines);
+  console.log('Cart tariff summary:', summary);
+  const panel = createCartSummary(summary);
+  if (existingSummary && existingSummary.isConnected) {
+    existingSummary.replaceWith(panel);
+  } else {
+    const list = items[0].element.parentElement;
+    list.insertAdjacentElement('beforebegin', panel);
+  }
+}
+
+/**
+ * Update the cart estimates, or once more after the update that is running
+ */
+async function runCartUpdate() {
+  if (cartUpdateRunning) {
+    cartUpdatePending = true;
+    return;
+  }
+
+  cartUpdateRunning = true;
+  do {
+    cartUpdatePending = false;
+    try {
+      await updateCartEstimates();
+    } catch (error) {
+      console.error('Error updating cart estimates:', error);
+    }
+  } while (cartUpdatePending);
+  cartUpdateRunning = false;
+}
+
+/**
+ * Schedule an update. The cart redraws in several steps when a quantity
+ * changes, so an update already scheduled is kept rather than pushed back.
+ */
+function scheduleCartUpdate() {
+  if (cartUpdateTimer) return;
+  cartUpdateTimer = setTimeout(() => {
+    cartUpdateTimer = null;
+    runCartUpdate();
+  }, 500);
+}
+
+/**
+ * Check whether a mutation only added or removed this script's badges and summary
+ * @param {MutationRecord} mutation - Mutation from the observer
+ * @returns {boolean} - Whether the mutation is the script's own
+ */
+function isCartAdditionMutation(mutation) {
+  const target = mutation.target.nodeType === Node.ELEMENT_NODE ? mutation.target : mutation.target.parentElement;
+  if (target && target.closest(`[${CART_ADDITION_ATTRIBUTE}]`)) return true;
+
+  const nodes = [...mutation.addedNodes, ...mutation.removedNodes];
+  return nodes.length > 0 && nodes.every(node => node.nodeType === Node.ELEMENT_NODE && node.hasAttribute(CART_ADDITION_ATTRIBUTE));
+}
+
+// Estimate the cart now, again whenever Amazon redraws it (quantities,
+// deletions, saving for later), when a product page remembers a new
+// estimate in another tab, and from scratch when the settings or the
+// recorded deposits the calibration uses change
+runCartUpdate();
+new MutationObserver(mutations => {
+  if (mutations.every(isCartAdditionMutation)) return;
+  scheduleCartUpdate();
+}).observe(document.body, { childList: true, subtree: true, characterData: true });
+document.addEventListener('change', event => {
+  if (event.target.closest && event.target.closest(CART_ITEM_SELECTOR)) scheduleCartUpdate();
+});
+chrome.storage.onChanged.addListener((changes, areaName) => {
+  if (areaName !== 'local') return;
+  if (changes[USER_SETTINGS_STORAGE_KEY] || changes[IMPORT_FEE_RECORDS_STORAGE_KEY]) {
+    cartItemEstimates.clear();
+    scheduleCartUpdate();
+  } else if (changes[PRODUCT_ESTIMATES_STORAGE_KEY] || changes[PRODUCT_OVERRIDES_STORAGE_KEY]) {
+    scheduleCartUpdate();
+  }
+});
+
+console.log('Cart summary script loaded');
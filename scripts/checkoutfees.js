@@ -0,0 +1,194 @@
+/**
+ * Amazon Tariff Checker
+ * Copyright (c) 2025 Dual Lens (https://duallens.substack.com)
+ * This code is licensed under the MIT License.
+ * For the full license text, see the LICENSE file in the project repository
+ * or visit: https://opensource.org/licenses/MIT
+ * DISCLAIMER: This extension is not affiliated with Amazon.com. It only processes
+ * information visible on the current page and does not collect or transmit user data.
+ * All analysis occurs locally within the browser.
+ */
+
+// checkoutfees.js - Content script for the checkout and order review pages.
+// When Amazon charges an import fees deposit, that is the real figure the
+// estimates should match. This reads the deposit and the items in the order,
+// asks the background tariff engine what it predicts for them (with the
+// origins and HTS codes found on their product pages, before calibration),
+// and records both with importfees.js. Nothing is added to the page.
+
+// Summary rows that can hold the deposit line
+var ORDER_SUMMARY_ROW_SELECTOR = '#subtotals-marketplace-table tr, #spc-order-summary .a-row, ' +
+                                 '#subtotals .a-row, .order-summary-line-definition, tr, li, .a-row';
+
+// The order last recorded, so a checkout page that redraws isn't recorded twice
+var lastImportFeeSignature = null;
+var checkoutFeesTimer = null;
+
+/**
+ * Find the import fees deposit in the order summary
+ * @returns {Object|null} - Deposit ({ amount, text }), or null when the order has none
+ */
+function findImportFeesDeposit() {
+  for (const row of document.querySelectorAll(ORDER_SUMMARY_ROW_SELECTOR)) {
+    const text = row.textContent.replace(/\s+/g, ' ').trim();
+    // Rows holding the whole summary are skipped for the line itself
+    if (text.length > 120 || !/import fees? deposit/i.test(text)) continue;
+
+    const amounts = parsePriceAmounts(text);
+    if (amounts.length > 0) return { amount: amounts[amounts.length - 1], text };
+  }
+  return null;
+}
+
+/**
+ * Read the quantity shown for an item, e.g. "Quantity: 2" or "Qty: 2"
+ * @param {Element} container - Item container
+ * @returns {number} - Quantity, at least 1
+ */
+function readCheckoutQuantity(container) {
+  const select = container.querySelector('select[name*="quantity" i]');
+  const value = select ? select.value : (container.textContent.match(/(?:quantity|qty)\s*:?\s*(\d+)/i) || [])[1];
+  const quantity = parseInt(value, 10);
+  return quantity > 0 ? quantity : 1;
+}
+
+/**
+ * List the items in the order. Checkout pages mark items with data-asin or
+ * only link to them, so both are read.
+ * @returns {Array<Object>} - Items ({ asin, productTitle, price, quantity })
+ */
+function readCheckoutItems() {
+  const items = new Map();
+
+  const addItem = (asin, container, titleElement) => {
+    asin = asin.toUpperCase();
+    if (items.has(asin) || !/^[A-Z0-9]{10}$/.test(asin)) return;
+
+    const priceElement = container.querySelector('.a-price, .a-color-price');
+    items.set(asin, {
+      asin,
+      productTitle: cleanOriginText((titleElement || container).textContent).substring(0, 200),
+      price: priceElement ? readPriceElement(priceElement) || 0 : 0,
+      quantity: readCheckoutQuantity(container)
+    });
+  };
+
+  document.querySelectorAll('[data-asin]').forEach(element => {
+    addItem(element.getAttribute('data-asin') || '', element, element.querySelector('.a-text-bold, a[href]'));
+  });
+
+  document.querySelectorAll('a[href*="/dp/"], a[href*="/gp/product/"]').forEach(link => {
+    const match = link.getAttribute('href').match(/\/(?:dp|gp\/product)\/([A-Z0-9]{10})/i);
+    if (!match || !link.textContent.trim()) return;
+    addItem(match[1], link.closest('.a-fixed-left-grid, .a-row, li, tr') || link.parentElement, link);
+  });
+
+  return Array.from(items.values());
+}
+
+/**
+ * Work out what the extension would have predicted for the order
+ * @param {Array<Object>} items - Items from readCheckoutItems
+ * @returns {Promise<Object>} - Prediction ({ predicted, items, unmatchedASINs }); items
+ *   ({ asin, quantity, price, countryOfOrigin, htsCode, shipmentMode, predicted, flatFee }) are those
+ *   with a known origin; flatFee is the part of predicted that is a flat postal fee
+ */
+async function predictImportFees(items) {
+  const remembered = await getProductEstimates(items.map(item => item.asin));
+  const settings = await getUserSettings();
+  const prediction = { predicted: 0, items: [], unmatchedASINs: [] };
+
+  for (const item of items) {
+    const estimate = remembered[item.asin];
+    const productData = await loadProductOverrides({
+      asin: item.asin,
+      productTitle: estimate ? estimate.productTitle : item.productTitle,
+      // The checkout price is what the order is charged; the product page's is the fallback
+      price: item.price || (estimate ? estimate.price : 0),
+      category: estimate ? estimate.category : '',
+      countryOfOrigin: estimate ? estimate.countryOfOrigin : 'Unknown',
+      htsCode: estimate ? estimate.htsCode : null,
+      shipmentMode: estimate ? estimate.shipmentMode : null
+    });
+
+    if (!productData.countryOfOrigin || productData.countryOfOrigin === 'Unknown' || !(productData.price > 0)) {
+      prediction.unmatchedASINs.push(item.asin);
+      continue;
+    }
+
+    // The same estimate the calibration factors are applied to
+    const tariffData = await requestEngineEstimate(productData, settings);
+    const predicted = tariffData.tariffAmount * item.quantity;
+    prediction.predicted += predicted;
+    prediction.items.push({
+      asin: item.asin,
+      quantity: item.quantity,
+      price: productData.price,
+      countryOfOrigin: productData.countryOfOrigin,
+      htsCode: tariffData.htsCode && tariffData.htsCode !== '9999' ? tariffData.htsCode : (productData.htsCode || null),
+      shipmentMode: tariffData.shipmentMode,
+      predicted,
+      flatFee: tariffData.isUsingFlatFee ? predicted : 0
+    });
+  }
+
+  return prediction;
+}
+
+/**
+ * Record the deposit on the page with the estimate for the same order, if
+ * the order has a deposit and wasn't recorded already
+ * @returns {Promise<void>}
+ */
+async function recordImportFeesDeposit() {
+  const deposit = findImportFeesDeposit();
+  if (!deposit) return;
+
+  const items = readCheckoutItems();
+  if (items.length === 0) {
+    console.log('Import fees deposit found, but no items to match it to');
+    return;
+  }
+
+  const asins = items.map(item => `${item.asin}x${item.quantity}`).sort().join(',');
+  const signature = `${asins}|${deposit.amount}`;
+  if (signature === lastImportFeeSignature) return;
+
+  const prediction = await predictImportFees(items);
+  const recordedAt = new Date().toISOString();
+  const record = {
+    // The same order on the same day is one record, however often the page is seen
+    id: `${recordedAt.substring(0, 10)}|${asins}`,
+    recordedAt,
+    deposit: deposit.amount,
+    predicted: prediction.predicted,
+    difference: deposit.amount - prediction.predicted,
+    items: prediction.items,
+    unmatchedASINs: prediction.unmatchedASINs,
+    scheduleVersion: TARIFF_RATE_SCHEDULE.version
+  };
+
+  await saveImportFeeRecord(record);
+  // Only a saved order counts as recorded, so a failed one is tried again
+  lastImportFeeSignature = signature;
+  console.log(`Import fees deposit $${deposit.amount.toFixed(2)}, estimated $${prediction.predicted.toFixed(2)}`, record);
+}
+
+/**
+ * Look for the deposit again once the page has settled. Checkout pages
+ * redraw the order summary after every change of address or delivery option.
+ */
+function scheduleImportFeesCheck() {
+  if (checkoutFeesTimer) return;
+  checkoutFeesTimer = setTimeout(() => {
+    checkoutFeesTimer = null;
+    recordImportFeesDeposit().catch(error => {
+      console.error('Error recording import fees deposit:', error);
+    });
+  }, 1000);
+}
+
+scheduleImportFeesCheck();
+new MutationObserver(scheduleImportFeesCheck).observe(document.body, { childList: true, subtree: true, characterData: true });
+
+console.log('Checkout import fees script loaded');
@@ -0,0 +1,412 @@
+/**
+ * Amazon Tariff Checker
+ * Copyright (c) 2025 Dual Lens (https://duallens.substack.com)
+ * This code is licensed under the MIT License.
+ * For the full license text, see the LICENSE file in the project repository
+ * or visit: https://opensource.org/licenses/MIT
+ * DISCLAIMER: This extension is not affiliated with Amazon.com. It only processes
+ * information visible on the current page and does not collect or transmit user data.
+ * All analysis occurs locally within the browser.
+ */
+
+/**
+ * Countries
+ *
+ * ISO 3166-1 country table used to turn whatever a page, a seller or the user
+ * calls a country into its alpha-2 code. The rate schedule, the tariff API
+ * connector and the origin extractor all key on these codes.
+ *
+ * Each row is [alpha-2, alpha-3, display name, ...other names], where the
+ * other names are common English forms, local-language names, former names
+ * and abbreviations. Names are matched as whole words after lowercasing and
+ * dropping accents and dots, so "U.S.A." and "Viet Nam" match but "in" or
+ * "my" inside a sentence never do. Bare ISO codes are only recognized when
+ * they are the entire value.
+ */
+
+// Declared with var so the popup can inject this file into a page where the
+// content script has already loaded it without a redeclaration error
+var ISO_COUNTRIES = [
+  ['AD', 'AND', 'Andorra'],
+  ['AE', 'ARE', 'United Arab Emirates', 'UAE', 'Emirates', 'Dubai', 'Abu Dhabi'],
+  ['AF', 'AFG', 'Afghanistan'],
+  ['AG', 'ATG', 'Antigua and Barbuda', 'Antigua'],
+  ['AI', 'AIA', 'Anguilla'],
+  ['AL', 'ALB', 'Albania', 'Shqipëri', 'Shqipëria'],
+  ['AM', 'ARM', 'Armenia', 'Hayastan'],
+  ['AO', 'AGO', 'Angola'],
+  ['AQ', 'ATA', 'Antarctica'],
+  ['AR', 'ARG', 'Argentina'],
+  ['AS', 'ASM', 'American Samoa'],
+  ['AT', 'AUT', 'Austria', 'Österreich', 'Republic of Austria'],
+  ['AU', 'AUS', 'Australia', 'Commonwealth of Australia'],
+  ['AW', 'ABW', 'Aruba'],
+  ['AX', 'ALA', 'Åland Islands', 'Åland'],
+  ['AZ', 'AZE', 'Azerbaijan', 'Azərbaycan'],
+  ['BA', 'BIH', 'Bosnia and Herzegovina', 'Bosnia', 'Bosna i Hercegovina'],
+  ['BB', 'BRB', 'Barbados'],
+  ['BD', 'BGD', 'Bangladesh', 'East Pakistan'],
+  ['BE', 'BEL', 'Belgium', 'Belgique', 'België', 'Belgien'],
+  ['BF', 'BFA', 'Burkina Faso', 'Upper Volta'],
+  ['BG', 'BGR', 'Bulgaria', 'България'],
+  ['BH', 'BHR', 'Bahrain'],
+  ['BI', 'BDI', 'Burundi'],
+  ['BJ', 'BEN', 'Benin', 'Dahomey'],
+  ['BL', 'BLM', 'Saint Barthélemy', 'St Barthélemy', 'St Barts'],
+  ['BM', 'BMU', 'Bermuda'],
+  ['BN', 'BRN', 'Brunei', 'Brunei Darussalam'],
+  ['BO', 'BOL', 'Bolivia', 'Plurinational State of Bolivia'],
+  ['BQ', 'BES', 'Caribbean Netherlands', 'Bonaire, Sint Eustatius and Saba', 'Bonaire'],
+  ['BR', 'BRA', 'Brazil', 'Brasil', 'Federative Republic of Brazil'],
+  ['BS', 'BHS', 'Bahamas', 'The Bahamas'],
+  ['BT', 'BTN', 'Bhutan'],
+  ['BV', 'BVT', 'Bouvet Island'],
+  ['BW', 'BWA', 'Botswana', 'Bechuanaland'],
+  ['BY', 'BLR', 'Belarus', 'Byelorussia', 'Belorussia', 'Беларусь'],
+  ['BZ', 'BLZ', 'Belize', 'British Honduras'],
+  ['CA', 'CAN', 'Canada'],
+  ['CC', 'CCK', 'Cocos (Keeling) Islands', 'Cocos Islands', 'Keeling Islands'],
+  ['CD', 'COD', 'Democratic Republic of the Congo', 'DR Congo', 'DRC', 'Congo-Kinshasa', 'Congo Kinshasa', 'Zaire'],
+  ['CF', 'CAF', 'Central African Republic'],
+  ['CG', 'COG', 'Republic of the Congo', 'Congo', 'Congo-Brazzaville', 'Congo Brazzaville'],
+  ['CH', 'CHE', 'Switzerland', 'Schweiz', 'Suisse', 'Svizzera', 'Swiss Confederation'],
+  ['CI', 'CIV', 'Côte d\'Ivoire', 'Ivory Coast'],
+  ['CK', 'COK', 'Cook Islands'],
+  ['CL', 'CHL', 'Chile'],
+  ['CM', 'CMR', 'Cameroon', 'Cameroun'],
+  ['CN', 'CHN', 'China', 'People\'s Republic of China', 'PRC', 'P.R.C.', 'P.R. China', 'PR China', 'Mainland China',
+   'China Mainland', 'Zhongguo', '中国', '中國'],
+  ['CO', 'COL', 'Colombia'],
+  ['CR', 'CRI', 'Costa Rica'],
+  ['CU', 'CUB', 'Cuba'],
+  ['CV', 'CPV', 'Cabo Verde', 'Cape Verde'],
+  ['CW', 'CUW', 'Curaçao'],
+  ['CX', 'CXR', 'Christmas Island'],
+  ['CY', 'CYP', 'Cyprus', 'Κύπρος'],
+  ['CZ', 'CZE', 'Czechia', 'Czech Republic', 'Česko', 'Česká republika'],
+  ['DE', 'DEU', 'Germany', 'Deutschland', 'Federal Republic of Germany', 'West Germany', 'East Germany'],
+  ['DJ', 'DJI', 'Djibouti'],
+  ['DK', 'DNK', 'Denmark', 'Danmark'],
+  ['DM', 'DMA', 'Dominica'],
+  ['DO', 'DOM', 'Dominican Republic', 'República Dominicana'],
+  ['DZ', 'DZA', 'Algeria', 'Algérie'],
+  ['EC', 'ECU', 'Ecuador'],
+  ['EE', 'EST', 'Estonia', 'Eesti'],
+  ['EG', 'EGY', 'Egypt', 'Misr'],
+  ['EH', 'ESH', 'Western Sahara'],
+  ['ER', 'ERI', 'Eritrea'],
+  ['ES', 'ESP', 'Spain', 'España', 'Kingdom of Spain'],
+  ['ET', 'ETH', 'Ethiopia', 'Abyssinia'],
+  ['FI', 'FIN', 'Finland', 'Suomi'],
+  ['FJ', 'FJI', 'Fiji'],
+  ['FK', 'FLK', 'Falkland Islands', 'Falklands', 'Malvinas'],
+  ['FM', 'FSM', 'Micronesia', 'Federated States of Micronesia'],
+  ['FO', 'FRO', 'Faroe Islands', 'Faroes', 'Føroyar'],
+  ['FR', 'FRA', 'France', 'French Republic', 'République française'],
+  ['GA', 'GAB', 'Gabon'],
+  ['GB', 'GBR', 'United Kingdom', 'UK', 'U.K.', 'Great Britain', 'Britain', 'England', 'Scotland', 'Wales',
+   'Northern Ireland', 'United Kingdom of Great Britain and Northern Ireland'],
+  ['GD', 'GRD', 'Grenada'],
+  ['GE', 'GEO', 'Georgia', 'Sakartvelo'],
+  ['GF', 'GUF', 'French Guiana'],
+  ['GG', 'GGY', 'Guernsey'],
+  ['GH', 'GHA', 'Ghana', 'Gold Coast'],
+  ['GI', 'GIB', 'Gibraltar'],
+  ['GL', 'GRL', 'Greenland', 'Kalaallit Nunaat'],
+  ['GM', 'GMB', 'Gambia', 'The Gambia'],
+  ['GN', 'GIN', 'Guinea'],
+  ['GP', 'GLP', 'Guadeloupe'],
+  ['GQ', 'GNQ', 'Equatorial Guinea'],
+  ['GR', 'GRC', 'Greece', 'Hellas', 'Ellada', 'Ελλάδα'],
+  ['GS', 'SGS', 'South Georgia and the South Sandwich Islands', 'South Georgia'],
+  ['GT', 'GTM', 'Guatemala'],
+  ['GU', 'GUM', 'Guam'],
+  ['GW', 'GNB', 'Guinea-Bissau'],
+  ['GY', 'GUY', 'Guyana', 'British Guiana'],
+  ['HK', 'HKG', 'Hong Kong', 'Hong Kong SAR', 'Hongkong', '香港'],
+  ['HM', 'HMD', 'Heard Island and McDonald Islands'],
+  ['HN', 'HND', 'Honduras'],
+  ['HR', 'HRV', 'Croatia', 'Hrvatska'],
+  ['HT', 'HTI', 'Haiti'],
+  ['HU', 'HUN', 'Hungary', 'Magyarország'],
+  ['ID', 'IDN', 'Indonesia', 'Republic of Indonesia', 'Dutch East Indies'],
+  ['IE', 'IRL', 'Ireland', 'Republic of Ireland', 'Éire'],
+  ['IL', 'ISR', 'Israel'],
+  ['IM', 'IMN', 'Isle of Man'],
+  ['IN', 'IND', 'India', 'Bharat', 'Republic of India', 'भारत'],
+  ['IO', 'IOT', 'British Indian Ocean Territory'],
+  ['IQ', 'IRQ', 'Iraq'],
+  ['IR', 'IRN', 'Iran', 'Islamic Republic of Iran', 'Persia'],
+  ['IS', 'ISL', 'Iceland', 'Ísland'],
+  ['IT', 'ITA', 'Italy', 'Italia', 'Italian Republic'],
+  ['JE', 'JEY', 'Jersey'],
+  ['JM', 'JAM', 'Jamaica'],
+  ['JO', 'JOR', 'Jordan'],
+  ['JP', 'JPN', 'Japan', 'Nippon', 'Nihon', '日本'],
+  ['KE', 'KEN', 'Kenya'],
+  ['KG', 'KGZ', 'Kyrgyzstan', 'Kyrgyz Republic', 'Kirghizia'],
+  ['KH', 'KHM', 'Cambodia', 'Kampuchea', 'Kingdom of Cambodia', 'Khmer Republic'],
+  ['KI', 'KIR', 'Kiribati'],
+  ['KM', 'COM', 'Comoros'],
+  ['KN', 'KNA', 'Saint Kitts and Nevis', 'St Kitts and Nevis', 'St Kitts'],
+  ['KP', 'PRK', 'North Korea', 'DPRK', 'Democratic People\'s Republic of Korea'],
+  ['KR', 'KOR', 'South Korea', 'Korea', 'Republic of Korea', 'Korea, Republic of', 'ROK', 'Hanguk', '한국', '대한민국'],
+  ['KW', 'KWT', 'Kuwait'],
+  ['KY', 'CYM', 'Cayman Islands'],
+  ['KZ', 'KAZ', 'Kazakhstan', 'Qazaqstan'],
+  ['LA', 'LAO', 'Laos', 'Lao People\'s Democratic Republic', 'Lao PDR'],
+  ['LB', 'LBN', 'Lebanon', 'Liban'],
+  ['LC', 'LCA', 'Saint Lucia', 'St Lucia'],
+  ['LI', 'LIE', 'Liechtenstein'],
+  ['LK', 'LKA', 'Sri Lanka', 'Ceylon'],
+  ['LR', 'LBR', 'Liberia'],
+  ['LS', 'LSO', 'Lesotho', 'Basutoland'],
+  ['LT', 'LTU', 'Lithuania', 'Lietuva'],
+  ['LU', 'LUX', 'Luxembourg', 'Lëtzebuerg', 'Luxemburg'],
+  ['LV', 'LVA', 'Latvia', 'Latvija'],
+  ['LY', 'LBY', 'Libya'],
+  ['MA', 'MAR', 'Morocco', 'Maroc'],
+  ['MC', 'MCO', 'Monaco'],
+  ['MD', 'MDA', 'Moldova', 'Republic of Moldova', 'Moldavia'],
+  ['ME', 'MNE', 'Montenegro', 'Crna Gora'],
+  ['MF', 'MAF', 'Saint Martin', 'St Martin'],
+  ['MG', 'MDG', 'Madagascar', 'Malagasy Republic'],
+  ['MH', 'MHL', 'Marshall Islands'],
+  ['MK', 'MKD', 'North Macedonia', 'Macedonia', 'Republic of Macedonia', 'FYROM'],
+  ['ML', 'MLI', 'Mali'],
+  ['MM', 'MMR', 'Myanmar', 'Burma'],
+  ['MN', 'MNG', 'Mongolia'],
+  ['MO', 'MAC', 'Macau', 'Macao', 'Macau SAR', '澳門', '澳门'],
+  ['MP', 'MNP', 'Northern Mariana Islands', 'Northern Marianas'],
+  ['MQ', 'MTQ', 'Martinique'],
+  ['MR', 'MRT', 'Mauritania'],
+  ['MS', 'MSR', 'Montserrat'],
+  ['MT', 'MLT', 'Malta'],
+  ['MU', 'MUS', 'Mauritius'],
+  ['MV', 'MDV', 'Maldives'],
+  ['MW', 'MWI', 'Malawi', 'Nyasaland'],
+  ['MX', 'MEX', 'Mexico', 'México', 'United Mexican States', 'Estados Unidos Mexicanos'],
+  ['MY', 'MYS', 'Malaysia'],
+  ['MZ', 'MOZ', 'Mozambique', 'Moçambique'],
+  ['NA', 'NAM', 'Namibia', 'South West Africa'],
+  ['NC', 'NCL', 'New Caledonia', 'Nouvelle-Calédonie'],
+  ['NE', 'NER', 'Niger'],
+  ['NF', 'NFK', 'Norfolk Island'],
+  ['NG', 'NGA', 'Nigeria'],
+  ['NI', 'NIC', 'Nicaragua'],
+  ['NL', 'NLD', 'Netherlands', 'The Netherlands', 'Holland', 'Nederland', 'Kingdom of the Netherlands'],
+  ['NO', 'NOR', 'Norway', 'Norge', 'Noreg'],
+  ['NP', 'NPL', 'Nepal'],
+  ['NR', 'NRU', 'Nauru'],
+  ['NU', 'NIU', 'Niue'],
+  ['NZ', 'NZL', 'New Zealand', 'Aotearoa'],
+  ['OM', 'OMN', 'Oman'],
+  ['PA', 'PAN', 'Panama', 'Panamá'],
+  ['PE', 'PER', 'Peru', 'Perú'],
+  ['PF', 'PYF', 'French Polynesia', 'Tahiti'],
+  ['PG', 'PNG', 'Papua New Guinea'],
+  ['PH', 'PHL', 'Philippines', 'The Philippines', 'Pilipinas'],
+  ['PK', 'PAK', 'Pakistan'],
+  ['PL', 'POL', 'Poland', 'Polska'],
+  ['PM', 'SPM', 'Saint Pierre and Miquelon'],
+  ['PN', 'PCN', 'Pitcairn Islands', 'Pitcairn'],
+  ['PR', 'PRI', 'Puerto Rico'],
+  ['PS', 'PSE', 'Palestine', 'State of Palestine', 'Palestinian Territories'],
+  ['PT', 'PRT', 'Portugal', 'Portuguese Republic'],
+  ['PW', 'PLW', 'Palau'],
+  ['PY', 'PRY', 'Paraguay'],
+  ['QA', 'QAT', 'Qatar'],
+  ['RE', 'REU', 'Réunion'],
+  ['RO', 'ROU', 'Romania', 'România', 'Rumania'],
+  ['RS', 'SRB', 'Serbia', 'Srbija', 'Србија'],
+  ['RU', 'RUS', 'Russia', 'Russian Federation', 'Rossiya', 'Россия'],
+  ['RW', 'RWA', 'Rwanda'],
+  ['SA', 'SAU', 'Saudi Arabia', 'Kingdom of Saudi Arabia', 'KSA'],
+  ['SB', 'SLB', 'Solomon Islands'],
+  ['SC', 'SYC', 'Seychelles'],
+  ['SD', 'SDN', 'Sudan'],
+  ['SE', 'SWE', 'Sweden', 'Sverige'],
+  ['SG', 'SGP', 'Singapore', 'Republic of Singapore'],
+  ['SH', 'SHN', 'Saint Helena', 'Saint Helena, Ascension and Tristan da Cunha', 'St Helena'],
+  ['SI', 'SVN', 'Slovenia', 'Slovenija'],
+  ['SJ', 'SJM', 'Svalbard and Jan Mayen', 'Svalbard'],
+  ['SK', 'SVK', 'Slovakia', 'Slovak Republic', 'Slovensko'],
+  ['SL', 'SLE', 'Sierra Leone'],
+  ['SM', 'SMR', 'San Marino'],
+  ['SN', 'SEN', 'Senegal', 'Sénégal'],
+  ['SO', 'SOM', 'Somalia'],
+  ['SR', 'SUR', 'Suriname', 'Surinam', 'Dutch Guiana'],
+  ['SS', 'SSD', 'South Sudan'],
+  ['ST', 'STP', 'São Tomé and Príncipe', 'Sao Tome'],
+  ['SV', 'SLV', 'El Salvador'],
+  ['SX', 'SXM', 'Sint Maarten'],
+  ['SY', 'SYR', 'Syria', 'Syrian Arab Republic'],
+  ['SZ', 'SWZ', 'Eswatini', 'Swaziland'],
+  ['TC', 'TCA', 'Turks and Caicos Islands', 'Turks and Caicos'],
+  ['TD', 'TCD', 'Chad', 'Tchad'],
+  ['TF', 'ATF', 'French Southern Territories'],
+  ['TG', 'TGO', 'Togo', 'Togolese Republic'],
+  ['TH', 'THA', 'Thailand', 'Siam', 'Prathet Thai', 'Kingdom of Thailand', 'ประเทศไทย'],
+  ['TJ', 'TJK', 'Tajikistan'],
+  ['TK', 'TKL', 'Tokelau'],
+  ['TL', 'TLS', 'Timor-Leste', 'East Timor'],
+  ['TM', 'TKM', 'Turkmenistan'],
+  ['TN', 'TUN', 'Tunisia', 'Tunisie'],
+  ['TO', 'TON', 'Tonga'],
+  ['TR', 'TUR', 'Turkey', 'Türkiye', 'Republic of Türkiye'],
+  ['TT', 'TTO', 'Trinidad and Tobago', 'Trinidad'],
+  ['TV', 'TUV', 'Tuvalu', 'Ellice Islands'],
+  ['TW', 'TWN', 'Taiwan', 'Republic of China', 'Taiwan ROC', 'Chinese Taipei', 'Formosa', '台灣', '臺灣', '台湾'],
+  ['TZ', 'TZA', 'Tanzania', 'United Republic of Tanzania', 'Tanganyika'],
+  ['UA', 'UKR', 'Ukraine', 'Ukraina', 'Україна'],
+  ['UG', 'UGA', 'Uganda'],
+  ['UM', 'UMI', 'United States Minor Outlying Islands'],
+  ['US', 'USA', 'United States', 'U.S.', 'U.S.A.', 'United States of America', 'America'],
+  ['UY', 'URY', 'Uruguay'],
+  ['UZ', 'UZB', 'Uzbekistan', 'Oʻzbekiston'],
+  ['VA', 'VAT', 'Vatican City', 'Holy See', 'Vatican'],
+  ['VC', 'VCT', 'Saint Vincent and the Grenadines', 'St Vincent and the Grenadines', 'St Vincent'],
+  ['VE', 'VEN', 'Venezuela', 'Bolivarian Republic of Venezuela'],
+  ['VG', 'VGB', 'British Virgin Islands', 'Virgin Islands, British'],
+  ['VI', 'VIR', 'U.S. Virgin Islands', 'US Virgin Islands', 'Virgin Islands, U.S.'],
+  ['VN', 'VNM', 'Vietnam', 'Viet Nam', 'Việt Nam', 'Socialist Republic of Vietnam'],
+  ['VU', 'VUT', 'Vanuatu', 'New Hebrides'],
+  ['WF', 'WLF', 'Wallis and Futuna'],
+  ['WS', 'WSM', 'Samoa', 'Western Samoa'],
+  ['YE', 'YEM', 'Yemen'],
+  ['YT', 'MYT', 'Mayotte'],
+  ['ZA', 'ZAF', 'South Africa', 'Republic of South Africa', 'RSA'],
+  ['ZM', 'ZMB', 'Zambia', 'Northern Rhodesia'],
+  ['ZW', 'ZWE', 'Zimbabwe', 'Rhodesia', 'Southern Rhodesia']
+];
+
+// Names that are also US states, people, words or parts of longer place
+// names ("New Jersey", "North America"), so they only count as a country
+// when they are the whole value or directly follow "Made in"
+var AMBIGUOUS_COUNTRY_NAMES = new Set(['america', 'chad', 'georgia', 'jersey', 'jordan', 'turkey', 'guinea', 'niger']);
+
+// Lookup tables built from ISO_COUNTRIES the first time they are needed
+var isoCountryIndex = null;
+
+/**
+ * Put a country name or code into the form the index is keyed on: lowercase,
+ * without accents, dots or apostrophes, and with single spaces between words
+ * @param {string} text - Country name, code or free text
+ * @returns {string} - Normalized text
+ */
+function normalizeCountryText(text) {
+  return String(text || '')
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/&/g, ' and ')
+    .replace(/['\u2019\u02bb.]/g, '')
+    .replace(/[^\p{L}\p{N}]+/gu, ' ')
+    .trim();
+}
+
+/**
+ * Build (once) the tables that map codes and names to alpha-2 codes
+ * @returns {Object} - Index ({ byCode, byName, names, longestName })
+ */
+function getCountryIndex() {
+  if (isoCountryIndex) return isoCountryIndex;
+
+  const byCode = new Map();
+  const byName = new Map();
+  const names = new Map();
+  let longestName = 1;
+
+  ISO_COUNTRIES.forEach(([alpha2, alpha3, name, ...otherNames]) => {
+    byCode.set(alpha2.toLowerCase(), alpha2);
+    byCode.set(alpha3.toLowerCase(), alpha2);
+    names.set(alpha2, name);
+
+    [name, ...otherNames].forEach(countryName => {
+      const key = normalizeCountryText(countryName);
+      // The first country to claim a name keeps it
+      if (!byName.has(key)) byName.set(key, alpha2);
+      longestName = Math.max(longestName, key.split(' ').length);
+    });
+  });
+
+  isoCountryIndex = { byCode, byName, names, longestName };
+  return isoCountryIndex;
+}
+
+/**
+ * Find a country named in running text by matching whole words against the
+ * table's names, longest name first. Bare ISO codes are never matched here.
+ * @param {string} text - Free text, e.g. what follows "Made in"
+ * @param {boolean} anywhere - Look anywhere in the text rather than only at its start
+ * @returns {Object|null} - Match ({ code, name, start }) with the word position it starts at
+ */
+function findCountryInText(text, anywhere = true) {
+  const index = getCountryIndex();
+  const words = normalizeCountryText(text).split(' ').filter(Boolean);
+  const lastStart = anywhere ? words.length - 1 : 0;
+
+  for (let start = 0; start <= lastStart; start++) {
+    for (let length = Math.min(index.longestName, words.length - start); length >= 1; length--) {
+      const key = words.slice(start, start + length).join(' ');
+      // Abbreviations like "UK" or "U.S." read as ordinary words mid-sentence
+      if ((key.length <= 2 || AMBIGUOUS_COUNTRY_NAMES.has(key)) && (anywhere || start > 0)) continue;
+
+      const code = index.byName.get(key);
+      if (code) return { code, name: index.names.get(code), start };
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Resolve a country value (name, former name, local name or ISO code) to its
+ * alpha-2 code. A value that isn't a country by itself, such as
+ * "Shenzhen, China", resolves to the first country named in it.
+ * @param {string} value - Country value as found on the page or typed by the user
+ * @returns {string|null} - Alpha-2 code, or null when no country is recognized
+ */
+function findCountryCode(value) {
+  const key = normalizeCountryText(value);
+  if (!key || key === 'unknown') return null;
+
+  const index = getCountryIndex();
+  const exact = index.byName.get(key) || index.byCode.get(key);
+  if (exact) return exact;
+
+  const match = findCountryInText(value, true);
+  return match ? match.code : null;
+}
+
+/**
+ * Get the display name of a country
+ * @param {string} code - Alpha-2 code
+ * @returns {string|null} - Display name, or null for an unknown code
+ */
+function getCountryName(code) {
+  return getCountryIndex().names.get(String(code || '').toUpperCase()) || null;
+}
+
+/**
+ * List the display names of every country, for pickers
+ * @returns {Array<string>} - Display names in alphabetical order
+ */
+function getCountryNames() {
+  return Array.from(getCountryIndex().names.values()).sort((a, b) => a.localeCompare(b));
+}
+
+/**
+ * Add the ISO code of the country of origin to product data and replace the
+ * country with its display name when it is recognized
+ * @param {Object} productData - Product data (countryOfOrigin)
+ * @returns {Object} - Product data with countryCode and a normalized countryOfOrigin
+ */
+function normalizeCountryOfOrigin(productData) {
+  const countryCode = findCountryCode(productData.countryOfOrigin);
+  return {
+    ...productData,
+    countryCode,
+    countryOfOrigin: countryCode ? getCountryName(countryCode) : (productData.countryOfOrigin || 'Unknown')
+  };
+}
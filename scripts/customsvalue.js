@@ -0,0 +1,128 @@
+/**
+ * Amazon Tariff Checker
+ * Copyright (c) 2025 Dual Lens (https://duallens.substack.com)
+ * This code is licensed under the MIT License.
+ * For the full license text, see the LICENSE file in the project repository
+ * or visit: https://opensource.org/licenses/MIT
+ * DISCLAIMER: This extension is not affiliated with Amazon.com. It only processes
+ * information visible on the current page and does not collect or transmit user data.
+ * All analysis occurs locally within the browser.
+ */
+
+/**
+ * Customs Value Model
+ *
+ * Duty is charged on a product's customs value - what the importer paid the
+ * foreign seller - not on the price shoppers pay on Amazon. The customs
+ * value is estimated as a share of the retail price that depends on the kind
+ * of product, since retail markups differ widely between, say, clothing and
+ * electronics. The shares are rough industry figures; the user can replace
+ * any of them in the popup (userSettings.customsValueRatios), and the content
+ * scripts pass the replacements along with the product data.
+ */
+
+// Retail-to-customs-value ratios by kind of product, matched on the HTS
+// chapter first and the Amazon category and title after that. The last
+// entry matches everything.
+var CUSTOMS_VALUE_CATEGORIES = [
+  {
+    id: 'apparel',
+    label: 'Clothing, shoes and bags',
+    ratio: 0.3,
+    chapters: ['42', '61', '62', '63', '64', '65'],
+    pattern: /\b(clothing|apparel|shirts?|t-shirts?|dress(es)?|pants|jeans|jackets?|coats?|sweaters?|socks|shoes|sneakers|boots|sandals|handbags?|backpacks?|hats?)\b/i
+  },
+  {
+    id: 'jewelry',
+    label: 'Jewelry and watches',
+    ratio: 0.25,
+    chapters: ['71', '91'],
+    pattern: /\b(jewelry|jewellery|necklaces?|bracelets?|earrings?|rings?|watch(es)?)\b/i
+  },
+  {
+    id: 'beauty',
+    label: 'Beauty and personal care',
+    ratio: 0.3,
+    chapters: ['33', '34'],
+    pattern: /\b(beauty|cosmetics?|makeup|skin ?care|shampoo|perfume|lotion|personal care)\b/i
+  },
+  {
+    id: 'electronics',
+    label: 'Electronics and appliances',
+    ratio: 0.6,
+    chapters: ['84', '85', '90'],
+    pattern: /\b(electronics?|computers?|laptops?|tablets?|phones?|headphones|earbuds|speakers?|cameras?|chargers?|cables?|appliances?)\b/i
+  },
+  {
+    id: 'toys',
+    label: 'Toys, games and sports',
+    ratio: 0.4,
+    chapters: ['95'],
+    pattern: /\b(toys?|games?|puzzles?|dolls?|sports?|fitness|outdoor recreation)\b/i
+  },
+  {
+    id: 'home',
+    label: 'Home, kitchen and furniture',
+    ratio: 0.4,
+    chapters: ['39', '44', '69', '70', '73', '94'],
+    pattern: /\b(home|kitchen|furniture|cookware|bedding|decor|storage|tools?|garden)\b/i
+  },
+  {
+    id: 'other',
+    label: 'Everything else',
+    ratio: 0.5,
+    chapters: [],
+    pattern: null
+  }
+];
+
+/**
+ * Read the HTS chapter (first two digits) of a code
+ * @param {string|null} htsCode - HTS code
+ * @returns {string|null} - Chapter, or null for no code or the unknown code
+ */
+function getHTSChapter(htsCode) {
+  const digits = String(htsCode || '').replace(/\D/g, '');
+  return digits.length >= 2 && digits !== '9999' ? digits.substring(0, 2) : null;
+}
+
+/**
+ * Find the kind of product, for its retail-to-customs-value ratio
+ * @param {Object} productData - Product data (category, productTitle)
+ * @param {string|null} htsCode - HTS code, if known
+ * @returns {Object} - Entry from CUSTOMS_VALUE_CATEGORIES
+ */
+function findCustomsValueCategory(productData, htsCode) {
+  const chapter = getHTSChapter(htsCode);
+  const byChapter = chapter && CUSTOMS_VALUE_CATEGORIES.find(category => category.chapters.includes(chapter));
+  if (byChapter) return byChapter;
+
+  // The Amazon category says more than the title, so it is tried first
+  for (const text of [productData.category, productData.productTitle]) {
+    const byText = text && CUSTOMS_VALUE_CATEGORIES.find(category => category.pattern && category.pattern.test(text));
+    if (byText) return byText;
+  }
+
+  return CUSTOMS_VALUE_CATEGORIES[CUSTOMS_VALUE_CATEGORIES.length - 1];
+}
+
+/**
+ * Estimate a product's customs value from its retail price
+ * @param {Object} productData - Product data (price, category, productTitle, customsValueRatios)
+ * @param {string|null} htsCode - HTS code, if known
+ * @returns {Object} - Estimate ({ customsValue, ratio, categoryId, categoryLabel, isCustomRatio })
+ */
+function estimateCustomsValue(productData, htsCode) {
+  const category = findCustomsValueCategory(productData, htsCode);
+  const customRatio = (productData.customsValueRatios || {})[category.id];
+  const isCustomRatio = customRatio > 0 && customRatio <= 1;
+  const ratio = isCustomRatio ? customRatio : category.ratio;
+
+  return {
+    customsValue: (productData.price || 0) * ratio,
+    ratio,
+    categoryId: category.id,
+    categoryLabel: category.label,
+    isCustomRatio
+  };
+}
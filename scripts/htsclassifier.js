@@ -0,0 +1,200 @@
+/**
+ * Amazon Tariff Checker
+ * Copyright (c) 2025 Dual Lens (https://duallens.substack.com)
+ * This code is licensed under the MIT License.
+ * For the full license text, see the LICENSE file in the project repository
+ * or visit: https://opensource.org/licenses/MIT
+ * DISCLAIMER: This extension is not affiliated with Amazon.com. It only processes
+ * information visible on the current page and does not collect or transmit user data.
+ * All analysis occurs locally within the browser.
+ */
+
+/**
+ * HTS Classifier
+ *
+ * Naive Bayes text classifier that suggests HTS codes for a product from its
+ * title, Amazon category and description. The model is trained offline by
+ * tools/train-hts-classifier.js from the descriptions in the HTS dataset and
+ * a labeled set of Amazon listings, and is bundled in data/hts-classifier.json.gz.
+ * The training script reads this file too, so both sides split text into
+ * words the same way.
+ */
+
+var HTS_CLASSIFIER_MODEL_PATH = 'data/hts-classifier.json.gz';
+
+// Promise for the decompressed model, shared by every classification
+var htsClassifierPromise = null;
+
+// Words that say nothing about what a product is: common English, the
+// schedule's own boilerplate and Amazon listing filler
+var HTS_CLASSIFIER_STOPWORDS = new Set([
+  'a', 'an', 'and', 'are', 'as', 'at', 'be', 'by', 'for', 'from', 'in', 'into', 'is', 'it', 'its',
+  'of', 'on', 'or', 'the', 'to', 'with', 'without', 'your', 'you', 'our', 'this', 'that',
+  'other', 'than', 'not', 'whether', 'thereof', 'therefor', 'including', 'like', 'similar',
+  'kind', 'used', 'heading', 'headings', 'subheading', 'article', 'articles', 'part', 'parts',
+  'pack', 'count', 'piece', 'pieces', 'set', 'inch', 'inches', 'oz', 'ounce', 'lb', 'ft',
+  'new', 'premium', 'best', 'quality', 'large', 'small', 'medium', 'black', 'white', 'blue',
+  'red', 'size', 'style', 'classic', 'compatible', 'amazon', 'basics', 'essentials'
+]);
+
+/**
+ * Load the bundled classifier model
+ * @returns {Promise<Object>} - Model ({ classes, priors, unseen, words, temperature, minConfidence, ... })
+ */
+function loadHTSClassifier() {
+  if (!htsClassifierPromise) {
+    htsClassifierPromise = fetch(chrome.runtime.getURL(HTS_CLASSIFIER_MODEL_PATH))
+      .then(response => {
+        if (!response.ok) throw new Error(`Could not read ${HTS_CLASSIFIER_MODEL_PATH}: ${response.status}`);
+        return new Response(response.body.pipeThrough(new DecompressionStream('gzip'))).json();
+      })
+      .then(model => {
+        console.log(`Loaded HTS classifier with ${model.classes.length} codes and ${Object.keys(model.words).length} words`);
+        return model;
+      })
+      .catch(error => {
+        // Let the next classification try again
+        htsClassifierPromise = null;
+        throw error;
+      });
+  }
+
+  return htsClassifierPromise;
+}
+
+/**
+ * Reduce a word to a rough singular form, so "batteries" and "battery" or
+ * "mugs" and "mug" count as the same word
+ * @param {string} word - Lowercase word
+ * @returns {string} - Stemmed word
+ */
+function stemClassifierWord(word) {
+  if (word.length <= 3) return word;
+  if (word.endsWith('ies')) return word.slice(0, -3) + 'y';
+  if (/(ss|ch|sh|x)es$/.test(word)) return word.slice(0, -2);
+  if (/[^su]s$/.test(word)) return word.slice(0, -1);
+  return word;
+}
+
+/**
+ * Split text into the words the classifier looks at
+ * @param {string} text - Product or HTS text
+ * @returns {Array<string>} - Stemmed words, without stopwords or numbers
+ */
+function tokenizeClassifierText(text) {
+  return ((text || '').toLowerCase().match(/[a-z]+/g) || [])
+    .filter(word => word.length > 1 && !HTS_CLASSIFIER_STOPWORDS.has(word))
+    .map(stemClassifierWord)
+    .filter(word => !HTS_CLASSIFIER_STOPWORDS.has(word));
+}
+
+/**
+ * Work out the naive Bayes log score of every code in the model
+ * @param {Object} model - Classifier model
+ * @param {Array<Object>} inputs - Text to classify ({ source, text }), e.g. the title
+ * @returns {Object} - Scores ({ known, logScores }); known lists the words the model has seen
+ */
+function scoreHTSClasses(model, inputs) {
+  // Only words the model has seen carry any information
+  const known = [];
+  inputs.forEach(({ source, text }) => {
+    tokenizeClassifierText(text).forEach(word => {
+      if (model.words[word]) known.push({ word, source });
+    });
+  });
+
+  const logScores = model.classes.map((htsCode, index) => known.reduce(
+    (total, { word }) => total + (model.words[word][index] !== undefined ? model.words[word][index] : model.unseen[index]),
+    model.priors[index]
+  ));
+
+  return { known, logScores };
+}
+
+/**
+ * Turn log scores into probabilities. Naive Bayes treats every word as
+ * independent evidence, which makes long titles look far more certain than
+ * they are, so the scores are scaled down by the square root of the word
+ * count and by the temperature the training script calibrated.
+ * @param {Array<number>} logScores - Log score of each code
+ * @param {number} wordCount - Number of known words behind the scores
+ * @param {number} temperature - Calibrated scale from the model
+ * @returns {Array<number>} - Probability of each code
+ */
+function calibrateHTSScores(logScores, wordCount, temperature = 1) {
+  const scale = temperature / Math.sqrt(Math.max(wordCount, 1));
+  const best = Math.max(...logScores);
+  const weights = logScores.map(score => Math.exp((score - best) * scale));
+  const total = weights.reduce((sum, weight) => sum + weight, 0);
+  return weights.map(weight => weight / total);
+}
+
+/**
+ * Rank HTS codes for a product with the classifier model. The model only
+ * knows the codes it was trained on, so when even its best guess is less
+ * sure than the model's minConfidence, the product most likely isn't one
+ * of them and no code is suggested.
+ * @param {Object} model - Classifier model
+ * @param {Array<Object>} inputs - Text to classify ({ source, text }), e.g. the title
+ * @returns {Array<Object>} - Candidates, best first ({ htsCode, confidence, evidence }), or none
+ */
+function predictHTSCodes(model, inputs) {
+  const { known, logScores } = scoreHTSClasses(model, inputs);
+  if (known.length === 0) return [];
+
+  const probabilities = calibrateHTSScores(logScores, known.length, model.temperature);
+  if (Math.max(...probabilities) < (model.minConfidence || 0)) return [];
+
+  return model.classes
+    .map((htsCode, index) => ({
+      htsCode,
+      confidence: probabilities[index],
+      evidence: describeClassifierEvidence(model, known, index)
+    }))
+    .filter(candidate => candidate.confidence >= 0.01)
+    .sort((a, b) => b.confidence - a.confidence);
+}
+
+/**
+ * Describe the words that pushed the model towards a code
+ * @param {Object} model - Classifier model
+ * @param {Array<Object>} known - Known words ({ word, source })
+ * @param {number} index - Index of the code in model.classes
+ * @returns {Array<string>} - Evidence, strongest first
+ */
+function describeClassifierEvidence(model, known, index) {
+  const seen = new Set();
+  return known
+    .filter(({ word, source }) => {
+      const key = `${word}|${source}`;
+      if (seen.has(key) || model.words[word][index] === undefined) return false;
+      seen.add(key);
+      return true;
+    })
+    .map(({ word, source }) => {
+      // How much more likely the word is for this code than for a typical one
+      const logProbabilities = model.classes.map((code, other) =>
+        model.words[word][other] !== undefined ? model.words[word][other] : model.unseen[other]);
+      const average = logProbabilities.reduce((sum, value) => sum + value, 0) / logProbabilities.length;
+      return { word, source, lift: model.words[word][index] - average };
+    })
+    .filter(({ lift }) => lift > 0)
+    .sort((a, b) => b.lift - a.lift)
+    .slice(0, 3)
+    .map(({ word, source }) => `"${word}" in ${source}`);
+}
+
+/**
+ * Classify a product with the bundled model
+ * @param {Object} productData - Product data
+ * @returns {Promise<Array<Object>>} - Candidates, best first ({ htsCode, confidence, evidence }), or none
+ *   when the product matches none of the model's codes
+ */
+async function classifyWithHTSModel(productData) {
+  const model = await loadHTSClassifier();
+  return predictHTSCodes(model, [
+    { source: 'title', text: productData.productTitle },
+    { source: 'Amazon category', text: productData.category },
+    { source: 'description', text: productData.description }
+  ]);
+}
@@ -0,0 +1,458 @@
+/**
+ * Amazon Tariff Checker
+ * Copyright (c) 2025 Dual Lens (https://duallens.substack.com)
+ * This code is licensed under the MIT License.
+ * For the full license text, see the LICENSE file in the project repository
+ * or visit: https://opensource.org/licenses/MIT
+ * DISCLAIMER: This extension is not affiliated with Amazon.com. It only processes
+ * information visible on the current page and does not collect or transmit user data.
+ * All analysis occurs locally within the browser.
+ */
+
+/**
+ * HTS Dataset Loader
+ *
+ * Reads the bundled, gzip-compressed copy of the USITC Harmonized Tariff
+ * Schedule (data/hts.json.gz, rebuilt with tools/build-hts-dataset.js) and
+ * resolves HTS codes to their description, general rate and special-program
+ * rates. The dataset is loaded once per service worker lifetime.
+ */
+
+var HTS_DATASET_PATH = 'data/hts.json.gz';
+
+// Promise for the decompressed dataset, shared by every lookup
+var htsDatasetPromise = null;
+
+// Short titles for the HTS chapters, which have no numbered line of their own
+var HTS_CHAPTER_TITLES = {
+  '01': 'Live animals',
+  '02': 'Meat and edible meat offal',
+  '03': 'Fish and crustaceans',
+  '04': 'Dairy produce, eggs and honey',
+  '05': 'Other products of animal origin',
+  '06': 'Live trees and plants, cut flowers',
+  '07': 'Edible vegetables',
+  '08': 'Edible fruit and nuts',
+  '09': 'Coffee, tea, mate and spices',
+  '10': 'Cereals',
+  '11': 'Milling products, malt and starches',
+  '12': 'Oil seeds and miscellaneous grains',
+  '13': 'Lac, gums and resins',
+  '14': 'Vegetable plaiting materials',
+  '15': 'Animal and vegetable fats and oils',
+  '16': 'Preparations of meat or fish',
+  '17': 'Sugars and sugar confectionery',
+  '18': 'Cocoa and cocoa preparations',
+  '19': 'Preparations of cereals, flour or milk',
+  '20': 'Preparations of vegetables, fruit or nuts',
+  '21': 'Miscellaneous edible preparations',
+  '22': 'Beverages, spirits and vinegar',
+  '23': 'Food industry residues and animal feed',
+  '24': 'Tobacco',
+  '25': 'Salt, sulfur, earths, stone, lime and cement',
+  '26': 'Ores, slag and ash',
+  '27': 'Mineral fuels and oils',
+  '28': 'Inorganic chemicals',
+  '29': 'Organic chemicals',
+  '30': 'Pharmaceutical products',
+  '31': 'Fertilizers',
+  '32': 'Tanning and dyeing extracts, paints and inks',
+  '33': 'Essential oils, perfumery and cosmetics',
+  '34': 'Soap, waxes and polishing preparations',
+  '35': 'Albuminoidal substances, glues and enzymes',
+  '36': 'Explosives, matches and pyrotechnics',
+  '37': 'Photographic and cinematographic goods',
+  '38': 'Miscellaneous chemical products',
+  '39': 'Plastics and articles thereof',
+  '40': 'Rubber and articles thereof',
+  '41': 'Raw hides, skins and leather',
+  '42': 'Leather articles, handbags and travel goods',
+  '43': 'Furskins and artificial fur',
+  '44': 'Wood and articles of wood',
+  '45': 'Cork and articles of cork',
+  '46': 'Basketware and wickerwork',
+  '47': 'Wood pulp and recovered paper',
+  '48': 'Paper and paperboard',
+  '49': 'Printed books, newspapers and pictures',
+  '50': 'Silk',
+  '51': 'Wool and animal hair',
+  '52': 'Cotton',
+  '53': 'Other vegetable textile fibers',
+  '54': 'Man-made filaments',
+  '55': 'Man-made staple fibers',
+  '56': 'Wadding, felt, twine and rope',
+  '57': 'Carpets and textile floor coverings',
+  '58': 'Special woven fabrics, lace and embroidery',
+  '59': 'Coated and laminated textile fabrics',
+  '60': 'Knitted or crocheted fabrics',
+  '61': 'Apparel, knitted or crocheted',
+  '62': 'Apparel, not knitted or crocheted',
+  '63': 'Other made up textile articles',
+  '64': 'Footwear',
+  '65': 'Headgear',
+  '66': 'Umbrellas and walking sticks',
+  '67': 'Feathers, artificial flowers and wigs',
+  '68': 'Articles of stone, plaster and cement',
+  '69': 'Ceramic products',
+  '70': 'Glass and glassware',
+  '71': 'Precious stones, precious metals and jewelry',
+  '72': 'Iron and steel',
+  '73': 'Articles of iron or steel',
+  '74': 'Copper and articles thereof',
+  '75': 'Nickel and articles thereof',
+  '76': 'Aluminum and articles thereof',
+  '78': 'Lead and articles thereof',
+  '79': 'Zinc and articles thereof',
+  '80': 'Tin and articles thereof',
+  '81': 'Other base metals',
+  '82': 'Tools, cutlery and spoons of base metal',
+  '83': 'Miscellaneous articles of base metal',
+  '84': 'Machinery and mechanical appliances',
+  '85': 'Electrical machinery and electronics',
+  '86': 'Railway locomotives and rolling stock',
+  '87': 'Vehicles and parts',
+  '88': 'Aircraft and spacecraft',
+  '89': 'Ships and boats',
+  '90': 'Optical, medical and precision instruments',
+  '91': 'Clocks and watches',
+  '92': 'Musical instruments',
+  '93': 'Arms and ammunition',
+  '94': 'Furniture, bedding and lighting',
+  '95': 'Toys, games and sports equipment',
+  '96': 'Miscellaneous manufactured articles',
+  '97': 'Works of art and antiques',
+  '98': 'Special classification provisions',
+  '99': 'Temporary legislation and additional duties'
+};
+
+/**
+ * Load the bundled HTS dataset
+ * @returns {Promise<Object>} - Dataset ({ edition, builtAt, entries })
+ */
+function loadHTSDataset() {
+  if (!htsDatasetPromise) {
+    htsDatasetPromise = fetch(chrome.runtime.getURL(HTS_DATASET_PATH))
+      .then(response => {
+        if (!response.ok) throw new Error(`Could not read ${HTS_DATASET_PATH}: ${response.status}`);
+        return new Response(response.body.pipeThrough(new DecompressionStream('gzip'))).json();
+      })
+      .then(dataset => {
+        console.log(`Loaded ${Object.keys(dataset.entries).length} HTS entries (${dataset.edition})`);
+        return dataset;
+      })
+      .catch(error => {
+        // Let the next lookup try again
+        htsDatasetPromise = null;
+        throw error;
+      });
+  }
+
+  return htsDatasetPromise;
+}
+
+/**
+ * Format HTS digits the way the schedule prints them (e.g. 8518.30.20.00)
+ * @param {string} digits - HTS code digits
+ * @returns {string} - Dotted HTS code
+ */
+function formatHTSCode(digits) {
+  const groups = [digits.substring(0, 4)];
+  for (let i = 4; i < digits.length; i += 2) {
+    groups.push(digits.substring(i, i + 2));
+  }
+  return groups.join('.');
+}
+
+/**
+ * Parse a rate of duty column (e.g. "Free", "4.9%", "0.8¢ each + 5.4%")
+ * @param {string} text - Rate text from the schedule
+ * @returns {Object} - Parsed rate ({ text, rate, specificDuty })
+ */
+function parseDutyRate(text) {
+  const trimmed = (text || '').trim();
+  if (!trimmed) return { text: '', rate: null, specificDuty: null };
+  if (/^free$/i.test(trimmed)) return { text: trimmed, rate: 0, specificDuty: null };
+
+  // The ad valorem part is charged on the value; anything else (per kg,
+  // per item...) is a specific duty we can only report
+  const adValorem = trimmed.match(/([\d.]+)\s*%/);
+  const specificDuty = trimmed
+    .replace(/\+?\s*[\d.]+\s*%/, '')
+    .replace(/\s*\+\s*$/, '')
+    .trim();
+
+  return {
+    text: trimmed,
+    rate: adValorem ? parseFloat(adValorem[1]) / 100 : 0,
+    specificDuty: specificDuty || null
+  };
+}
+
+/**
+ * Parse the special rate column, e.g. "Free (A,AU,KR) 3% (JO)"
+ * @param {string} text - Special rate text from the schedule
+ * @returns {Object} - Parsed rates keyed by program indicator
+ */
+function parseSpecialRates(text) {
+  const rates = {};
+  const pattern = /([^()]+?)\s*\(([^)]*)\)/g;
+  let match;
+
+  while ((match = pattern.exec(text || '')) !== null) {
+    const rate = parseDutyRate(match[1]);
+    match[2].split(',').forEach(program => {
+      rates[program.trim()] = rate;
+    });
+  }
+
+  return rates;
+}
+
+/**
+ * Build a lookup result from a dataset entry
+ * @param {string} digits - HTS code digits
+ * @param {Object} entry - Dataset entry ({ d, g, s })
+ * @param {boolean} isExact - Whether the entry is the code that was asked for
+ * @returns {Object} - HTS information
+ */
+function describeHTSEntry(digits, entry, isExact) {
+  const general = parseDutyRate(entry.g);
+  return {
+    htsCode: formatHTSCode(digits),
+    description: entry.d,
+    generalRate: general.rate,
+    generalRateText: general.text,
+    specificDuty: general.specificDuty,
+    specialRates: parseSpecialRates(entry.s),
+    specialRateText: entry.s || '',
+    isExact
+  };
+}
+
+/**
+ * Look up an HTS code in the bundled dataset. 8- and 10-digit codes resolve
+ * to their rate line; shorter codes only get a rate when every rate line
+ * under them has the same general rate.
+ * @param {string} htsCode - HTS code, with or without dots
+ * @returns {Promise<Object|null>} - HTS information, or null if the code isn't in the dataset
+ */
+async function lookupHTSCode(htsCode) {
+  const digits = (htsCode || '').replace(/\D/g, '');
+  if (digits.length < 2) return null;
+
+  const { entries } = await loadHTSDataset();
+
+  if (digits.length >= 8) {
+    if (entries[digits]) return describeHTSEntry(digits, entries[digits], true);
+
+    // A statistical suffix we don't know: fall back to its 8-digit rate line
+    const rateLine = digits.substring(0, 8);
+    return entries[rateLine] ? describeHTSEntry(rateLine, entries[rateLine], false) : null;
+  }
+
+  const rateLines = Object.keys(entries)
+    .filter(key => key.length === 8 && key.startsWith(digits) && entries[key].g);
+  if (rateLines.length === 0) return null;
+
+  const generalRates = new Set(rateLines.map(key => entries[key].g));
+  const heading = entries[digits] || { d: '' };
+  return {
+    ...describeHTSEntry(digits, { ...heading, g: generalRates.size === 1 ? entries[rateLines[0]].g : '' }, !!entries[digits]),
+    // Special rates only carry over when every rate line agrees on them too
+    specialRates: generalRates.size === 1 && new Set(rateLines.map(key => entries[key].s)).size === 1
+      ? parseSpecialRates(entries[rateLines[0]].s)
+      : {},
+    rateLineCount: rateLines.length
+  };
+}
+
+/**
+ * Work out the rate of duty that applies to goods from a country, using
+ * the country's special programs (free trade agreements) when they are
+ * cheaper than the general rate. Assumes the importer claims the preference.
+ * @param {Object} htsInfo - Result of lookupHTSCode
+ * @param {Array<string>} programs - Special program indicators the country qualifies for
+ * @returns {Object} - Applied rate ({ rate, program, text })
+ */
+function getApplicableHTSRate(htsInfo, programs = []) {
+  let applied = { rate: htsInfo.generalRate, program: null, text: htsInfo.generalRateText };
+
+  programs.forEach(program => {
+    const special = htsInfo.specialRates[program];
+    if (special && special.rate !== null && (applied.rate === null || special.rate < applied.rate)) {
+      applied = { rate: special.rate, program, text: `${special.text} (${program})` };
+    }
+  });
+
+  return applied;
+}
+
+/**
+ * Split text into lowercase words for searching
+ * @param {string} text - Text to split
+ * @returns {Array<string>} - Words
+ */
+function tokenizeHTSText(text) {
+  return (text || '').toLowerCase().match(/[a-z0-9]+/g) || [];
+}
+
+/**
+ * Check whether two words are at most one edit (insertion, deletion or
+ * substitution) apart, so small typos still match
+ * @param {string} a - First word
+ * @param {string} b - Second word
+ * @returns {boolean} - Whether the words are within one edit
+ */
+function isWithinOneEdit(a, b) {
+  if (Math.abs(a.length - b.length) > 1) return false;
+
+  let i = 0;
+  let j = 0;
+  let edits = 0;
+  while (i < a.length && j < b.length) {
+    if (a[i] === b[j]) {
+      i++;
+      j++;
+      continue;
+    }
+    if (++edits > 1) return false;
+    if (a.length > b.length) i++;
+    else if (b.length > a.length) j++;
+    else { i++; j++; }
+  }
+
+  return edits + (a.length - i) + (b.length - j) <= 1;
+}
+
+/**
+ * Score how well a query word matches the words of a description
+ * @param {string} queryWord - Word from the search query
+ * @param {Array<string>} words - Words of the description
+ * @returns {number} - 3 for an exact word, 2 for a prefix, 1 for a near miss, 0 for no match
+ */
+function scoreHTSWord(queryWord, words) {
+  let best = 0;
+  words.forEach(word => {
+    if (word === queryWord) best = 3;
+    else if (best < 2 && word.startsWith(queryWord)) best = 2;
+    else if (best < 1 && queryWord.length >= 4 && isWithinOneEdit(queryWord, word)) best = 1;
+  });
+  return best;
+}
+
+/**
+ * Search the HTS dataset by description or code. Every word of the query
+ * has to match a word of the description exactly, as a prefix or with a
+ * single typo; numeric queries match codes by prefix.
+ * @param {string} query - Search text
+ * @param {number} limit - Maximum number of results
+ * @returns {Promise<Array<Object>>} - Matching entries, best first ({ code, htsCode, description, generalRateText, isRateLine })
+ */
+async function searchHTSCodes(query, limit = 20) {
+  const { entries } = await loadHTSDataset();
+  const digits = (query || '').replace(/[\s.]/g, '');
+  const results = [];
+
+  if (/^\d+$/.test(digits)) {
+    Object.keys(entries)
+      .filter(key => key.startsWith(digits))
+      .sort()
+      .forEach(key => results.push({ key, score: 0 }));
+  } else {
+    const queryWords = tokenizeHTSText(query);
+    if (queryWords.length === 0) return [];
+
+    Object.keys(entries).forEach(key => {
+      // Descriptions include every parent line, so words in the line's own
+      // text count extra to rank the line itself above its children
+      const words = tokenizeHTSText(entries[key].d);
+      const ownWords = tokenizeHTSText(entries[key].d.split(': ').pop());
+      let score = 0;
+      for (const queryWord of queryWords) {
+        const wordScore = scoreHTSWord(queryWord, words);
+        if (wordScore === 0) return;
+        score += wordScore + scoreHTSWord(queryWord, ownWords);
+      }
+      results.push({ key, score });
+    });
+
+    // Best matches first, then the rate lines people can actually pick
+    results.sort((a, b) => b.score - a.score ||
+      (entries[b.key].g ? 1 : 0) - (entries[a.key].g ? 1 : 0) ||
+      a.key.localeCompare(b.key));
+  }
+
+  return results.slice(0, limit).map(result => describeHTSBrowserEntry(result.key, entries[result.key]));
+}
+
+/**
+ * List the next level of the schedule below a code: chapters for an empty
+ * code, then headings, subheadings and rate lines
+ * @param {string} htsCode - Parent code (empty for the list of chapters)
+ * @returns {Promise<Array<Object>>} - Child entries in code order ({ code, htsCode, description, generalRateText, isRateLine, hasChildren })
+ */
+async function getHTSChildren(htsCode) {
+  const { entries } = await loadHTSDataset();
+  const parent = (htsCode || '').replace(/\D/g, '');
+  const keys = Object.keys(entries);
+
+  if (!parent) {
+    const chapters = [...new Set(keys.map(key => key.substring(0, 2)))].sort();
+    return chapters.map(chapter => ({
+      code: chapter,
+      htsCode: chapter,
+      description: HTS_CHAPTER_TITLES[chapter] || `Chapter ${chapter}`,
+      generalRateText: '',
+      isRateLine: false,
+      hasChildren: true
+    }));
+  }
+
+  // A key is a direct child when no other key sits between it and the parent
+  const isDirectChild = key => {
+    if (key.length <= parent.length || !key.startsWith(parent)) return false;
+    for (let length = parent.length + 2; length < key.length; length += 2) {
+      if (entries[key.substring(0, length)]) return false;
+    }
+    return true;
+  };
+
+  return keys
+    .filter(isDirectChild)
+    .sort()
+    .map(key => ({
+      ...describeHTSBrowserEntry(key, entries[key]),
+      hasChildren: keys.some(other => other.length > key.length && other.startsWith(key))
+    }));
+}
+
+/**
+ * Shorten a full description (every parent line joined together) to the
+ * line's own text
+ * @param {string} description - Full description
+ * @returns {string} - Short description
+ */
+function shortenHTSDescription(description) {
+  // "Other" lines only make sense next to the line they belong to
+  const parts = (description || '').split(': ');
+  return parts.length > 1 && /^other$/i.test(parts[parts.length - 1])
+    ? parts.slice(-2).join(': ')
+    : parts[parts.length - 1];
+}
+
+/**
+ * Build a search or browser result from a dataset entry
+ * @param {string} digits - HTS code digits
+ * @param {Object} entry - Dataset entry ({ d, g, s })
+ * @returns {Object} - Result ({ code, htsCode, description, fullDescription, generalRateText, isRateLine })
+ */
+function describeHTSBrowserEntry(digits, entry) {
+  return {
+    code: digits,
+    htsCode: formatHTSCode(digits),
+    description: shortenHTSDescription(entry.d),
+    fullDescription: entry.d,
+    generalRateText: entry.g || '',
+    isRateLine: digits.length >= 8 && !!entry.g
+  };
+}
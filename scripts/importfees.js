@@ -0,0 +1,97 @@
+/**
+ * Amazon Tariff Checker
+ * Copyright (c) 2025 Dual Lens (https://duallens.substack.com)
+ * This code is licensed under the MIT License.
+ * For the full license text, see the LICENSE file in the project repository
+ * or visit: https://opensource.org/licenses/MIT
+ * DISCLAIMER: This extension is not affiliated with Amazon.com. It only processes
+ * information visible on the current page and does not collect or transmit user data.
+ * All analysis occurs locally within the browser.
+ */
+
+// importfees.js - Import fees deposits Amazon charged at checkout, each kept
+// with the estimate the extension would have made for the same order, in
+// chrome.storage.local. Recorded by checkoutfees.js and reported in the popup.
+
+var IMPORT_FEE_RECORDS_STORAGE_KEY = 'importFeeRecords';
+
+// Most orders kept; the oldest are dropped first
+var MAX_IMPORT_FEE_RECORDS = 200;
+
+/**
+ * Read every recorded deposit, oldest first
+ * @returns {Promise<Array<Object>>} - Records ({ id, recordedAt, deposit, predicted, difference, items, unmatchedASINs, scheduleVersion })
+ */
+async function getImportFeeRecords() {
+  try {
+    const stored = await chrome.storage.local.get(IMPORT_FEE_RECORDS_STORAGE_KEY);
+    return stored[IMPORT_FEE_RECORDS_STORAGE_KEY] || [];
+  } catch (error) {
+    console.error('Error reading import fee records:', error);
+    return [];
+  }
+}
+
+/**
+ * Record a deposit, replacing the record with the same id (the same order
+ * seen again as the checkout page redraws)
+ * @param {Object} record - Record with an id
+ * @returns {Promise<void>}
+ */
+async function saveImportFeeRecord(record) {
+  const records = (await getImportFeeRecords()).filter(existing => existing.id !== record.id);
+  records.push(record);
+
+  await chrome.storage.local.set({
+    [IMPORT_FEE_RECORDS_STORAGE_KEY]: records.slice(-MAX_IMPORT_FEE_RECORDS)
+  });
+}
+
+/**
+ * Remove every recorded deposit
+ * @returns {Promise<void>}
+ */
+function clearImportFeeRecords() {
+  return chrome.storage.local.remove(IMPORT_FEE_RECORDS_STORAGE_KEY);
+}
+
+/**
+ * Work out how close the estimates came to the deposits. Only orders whose
+ * items all had an estimate are compared, since the deposit can't be split
+ * between items.
+ * @param {Array<Object>} records - Records from getImportFeeRecords
+ * @returns {Object} - Report ({ orders, comparedOrders, totalDeposit, totalPredicted,
+ *   meanDifference, meanAbsoluteDifference, meanAbsolutePercentDifference });
+ *   differences are deposit minus estimate, and the means are null with nothing to compare
+ */
+function summarizeImportFeeAccuracy(records) {
+  const compared = records.filter(record => record.unmatchedASINs.length === 0);
+  const report = {
+    orders: records.length,
+    comparedOrders: compared.length,
+    totalDeposit: 0,
+    totalPredicted: 0,
+    meanDifference: null,
+    meanAbsoluteDifference: null,
+    meanAbsolutePercentDifference: null
+  };
+  if (compared.length === 0) return report;
+
+  let absoluteTotal = 0;
+  let percentTotal = 0;
+  let percentCount = 0;
+  compared.forEach(record => {
+    report.totalDeposit += record.deposit;
+    report.totalPredicted += record.predicted;
+    absoluteTotal += Math.abs(record.difference);
+    if (record.deposit > 0) {
+      percentTotal += Math.abs(record.difference) / record.deposit;
+      percentCount++;
+    }
+  });
+
+  report.meanDifference = (report.totalDeposit - report.totalPredicted) / compared.length;
+  report.meanAbsoluteDifference = absoluteTotal / compared.length;
+  report.meanAbsolutePercentDifference = percentCount > 0 ? percentTotal / percentCount : null;
+  return report;
+}
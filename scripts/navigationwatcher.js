@@ -0,0 +1,144 @@
+/**
+ * Amazon Tariff Checker
+ * Copyright (c) 2025 Dual Lens (https://duallens.substack.com)
+ * This code is licensed under the MIT License.
+ * For the full license text, see the LICENSE file in the project repository
+ * or visit: https://opensource.org/licenses/MIT
+ * DISCLAIMER: This extension is not affiliated with Amazon.com. It only processes
+ * information visible on the current page and does not collect or transmit user data.
+ * All analysis occurs locally within the browser.
+ */
+
+// navigationwatcher.js - Notices when Amazon moves to another product
+// without reloading the page (history navigation), and tells when a product
+// page has drawn the parts the estimate reads. Picking a variant also
+// changes the URL's ASIN, but variantwatcher.js handles that, so an ASIN
+// listed in the previous product's variant selector isn't a new product.
+
+// Longest wait for a product page to draw its title and buy box
+var PRODUCT_READY_TIMEOUT_MS = 10000;
+
+// How often, at most, the URL is checked while the page is changing
+var NAVIGATION_CHECK_DELAY_MS = 250;
+
+// The running watcher ({ asin, title, variantASINs, observer, timer, onNewProduct })
+var navigationWatcher = null;
+
+/**
+ * Read the product title shown on the page
+ * @returns {string} - Title, or an empty string while there is none
+ */
+function readProductTitle() {
+  const titleElement = document.getElementById('productTitle');
+  return titleElement ? titleElement.textContent.replace(/\s+/g, ' ').trim() : '';
+}
+
+/**
+ * Check whether the product page shows what the estimate reads: a title and
+ * a buy box with a price or availability
+ * @param {string} previousTitle - Title of the product navigated away from, which must be gone
+ * @returns {boolean} - Whether the page is ready
+ */
+function isProductPageReady(previousTitle = '') {
+  const title = readProductTitle();
+  if (!title || title === previousTitle) return false;
+
+  return !!document.querySelector(`${PRICE_REGION_SELECTOR}, #availability, #outOfStock`);
+}
+
+/**
+ * Wait until the product page is ready, or until the timeout passes
+ * @param {string} previousTitle - Title of the product navigated away from, if any
+ * @param {number} timeoutMs - Longest time to wait
+ * @returns {Promise<boolean>} - Whether the page became ready before the timeout
+ */
+function waitForProductPage(previousTitle = '', timeoutMs = PRODUCT_READY_TIMEOUT_MS) {
+  return new Promise(resolve => {
+    if (isProductPageReady(previousTitle)) {
+      resolve(true);
+      return;
+    }
+
+    const observer = new MutationObserver(() => {
+      if (!isProductPageReady(previousTitle)) return;
+      observer.disconnect();
+      clearTimeout(timer);
+      resolve(true);
+    });
+    const timer = setTimeout(() => {
+      observer.disconnect();
+      resolve(false);
+    }, timeoutMs);
+
+    observer.observe(document.documentElement, { childList: true, subtree: true, characterData: true });
+  });
+}
+
+/**
+ * Compare the URL's ASIN with the product being shown and report a new product
+ */
+function checkPageNavigation() {
+  navigationWatcher.timer = null;
+
+  const asin = extractASIN();
+  if (!asin || asin === navigationWatcher.asin) {
+    // Variants can appear after the first check, so keep the list current
+    navigationWatcher.variantASINs = readVariantASINs();
+    return;
+  }
+
+  const previous = { asin: navigationWatcher.asin, title: navigationWatcher.title };
+  if (navigationWatcher.variantASINs.includes(asin)) {
+    navigationWatcher.asin = asin;
+    return;
+  }
+
+  console.log(`Navigated from ${previous.asin} to ${asin}`);
+  navigationWatcher.asin = asin;
+  navigationWatcher.title = '';
+  navigationWatcher.variantASINs = [];
+  navigationWatcher.onNewProduct(previous);
+}
+
+/**
+ * Schedule a navigation check. Pages with carousels and ads never stop
+ * changing, so a check already scheduled is kept rather than pushed back.
+ */
+function scheduleNavigationCheck() {
+  if (navigationWatcher.timer) return;
+  navigationWatcher.timer = setTimeout(checkPageNavigation, NAVIGATION_CHECK_DELAY_MS);
+}
+
+/**
+ * Remember the product now shown, once its page is ready, so the next
+ * navigation can be told apart from a variant change
+ */
+function rememberShownProduct() {
+  if (!navigationWatcher) return;
+  navigationWatcher.asin = extractASIN();
+  navigationWatcher.title = readProductTitle();
+  navigationWatcher.variantASINs = readVariantASINs();
+}
+
+/**
+ * Start watching for navigation to other products
+ * @param {Function} onNewProduct - Called with the previous product ({ asin, title }) after each navigation
+ */
+function watchPageNavigation(onNewProduct) {
+  if (navigationWatcher) return;
+
+  navigationWatcher = { asin: null, title: '', variantASINs: [], observer: null, timer: null, onNewProduct };
+  rememberShownProduct();
+
+  // Back and forward, and pushState where the Navigation API reports it
+  window.addEventListener('popstate', scheduleNavigationCheck);
+  if (window.navigation) {
+    window.navigation.addEventListener('navigatesuccess', scheduleNavigationCheck);
+  }
+
+  // Amazon redraws the page after pushState, which this catches everywhere
+  navigationWatcher.observer = new MutationObserver(scheduleNavigationCheck);
+  navigationWatcher.observer.observe(document.body, { childList: true, subtree: true });
+
+  console.log('Watching for navigation to other products');
+}
@@ -0,0 +1,383 @@
+/**
+ * Amazon Tariff Checker
+ * Copyright (c) 2025 Dual Lens (https://duallens.substack.com)
+ * This code is licensed under the MIT License.
+ * For the full license text, see the LICENSE file in the project repository
+ * or visit: https://opensource.org/licenses/MIT
+ * DISCLAIMER: This extension is not affiliated with Amazon.com. It only processes
+ * information visible on the current page and does not collect or transmit user data.
+ * All analysis occurs locally within the browser.
+ */
+
+// originextractor.js - Finds the country of origin on a product page. Each
+// extractor in ORIGIN_EXTRACTORS reads one part of the page and reports the
+// countries it mentions; every mention becomes a candidate that remembers
+// where it was found and how much that part of the page can be trusted.
+// Origins are "stated" when the listing itself says where the product was
+// made, "inferred" when they are only a guess from other clues, and
+// "unknown" otherwise. Inferred origins only drive the estimate when the
+// user allows it (usersettings.js). Countries are recognized with the ISO
+// country table in countries.js.
+
+// Phrases that introduce the country a product comes from
+var ORIGIN_PHRASE_PATTERN = /\b(?:made in|manufactured in|produced in|assembled in|product of|country of origin)\b[\s:\-]*(?:the\s+)?/gi;
+
+/**
+ * Extractors, most reliable first. Each one returns the country mentions it
+ * finds ({ country, excerpt }); `weight` (0-1) is how far a mention from that
+ * part of the page can be trusted, and `tier` whether the listing states the
+ * origin there or the country is only inferred. Add an entry here to read
+ * another part of the page.
+ */
+var ORIGIN_EXTRACTORS = [
+  {
+    id: 'productDetailsTable',
+    label: 'product details table',
+    weight: 1,
+    tier: 'stated',
+    extract: () => findLabeledOrigins(readLabeledRows('#productDetails_detailBullets_sections1 tr, #productDetails_db_sections tr'))
+  },
+  {
+    id: 'detailBullets',
+    label: 'product details list',
+    weight: 1,
+    tier: 'stated',
+    extract: () => findLabeledOrigins(readLabeledRows('#detailBullets_feature_div li, #detailBulletsWrapper_feature_div li'))
+  },
+  {
+    id: 'technicalSpecifications',
+    label: 'technical specifications',
+    weight: 0.9,
+    tier: 'stated',
+    extract: () => findLabeledOrigins(readLabeledRows(
+      '#productDetails_techSpec_section_1 tr, #productDetails_techSpec_section_2 tr, ' +
+      '#technicalSpecifications_section_1 tr, #productOverview_feature_div tr, #prodDetails table.a-keyvalue tr'))
+  },
+  {
+    id: 'featureBullets',
+    label: 'feature bullets',
+    weight: 0.8,
+    tier: 'stated',
+    extract: () => findOriginPhrasesIn('#feature-bullets li')
+  },
+  {
+    id: 'productDescription',
+    label: 'product description',
+    weight: 0.7,
+    tier: 'stated',
+    extract: () => findOriginPhrasesIn('#productDescription')
+  },
+  {
+    id: 'aplusContent',
+    label: 'A+ content from the manufacturer',
+    weight: 0.6,
+    tier: 'stated',
+    extract: () => findOriginPhrasesIn('#aplus_feature_div, #aplus, #aplusBrandStory_feature_div')
+  },
+  {
+    id: 'manufacturer',
+    label: 'manufacturer details',
+    weight: 0.4,
+    tier: 'inferred',
+    // The manufacturer's address is only a hint: brands often sit in one
+    // country and make their products in another
+    extract: () => readLabeledRows(
+      '#productDetails_detailBullets_sections1 tr, #productDetails_techSpec_section_1 tr, ' +
+      '#detailBullets_feature_div li, #detailBulletsWrapper_feature_div li')
+      .filter(row => /manufacturer|importer|packer/i.test(row.label))
+      .map(row => ({ country: findCountryName(row.value, true), excerpt: shortenOriginExcerpt(`${row.label}: ${row.value}`) }))
+      .filter(mention => mention.country)
+  },
+  {
+    id: 'pageText',
+    label: 'text elsewhere on the page',
+    weight: 0.3,
+    tier: 'inferred',
+    // Reviews, questions and ads mention other products' origins too
+    extract: () => findOriginPhrases(document.body ? document.body.innerText || document.body.textContent : '')
+  },
+  {
+    id: 'brand',
+    label: 'brand name',
+    weight: 0.15,
+    tier: 'inferred',
+    extract: () => guessOriginFromBrand()
+  },
+  {
+    id: 'title',
+    label: 'product title',
+    weight: 0.1,
+    tier: 'inferred',
+    extract: () => guessOriginFromTitle()
+  }
+];
+
+/**
+ * Collapse whitespace and the invisible direction marks Amazon puts around
+ * the colon in its detail bullets
+ * @param {string} text - Raw element text
+ * @returns {string} - Cleaned text
+ */
+function cleanOriginText(text) {
+  return (text || '').replace(/[\u200e\u200f]/g, '').replace(/\s+/g, ' ').trim();
+}
+
+/**
+ * Shorten text to quote it as the place a country was found
+ * @param {string} text - Text to quote
+ * @returns {string} - Text of at most 80 characters
+ */
+function shortenOriginExcerpt(text) {
+  const cleaned = cleanOriginText(text);
+  return cleaned.length > 80 ? cleaned.substring(0, 77) + '...' : cleaned;
+}
+
+/**
+ * Read label/value rows from tables (th/td) and detail bullet lists ("Label : value")
+ * @param {string} selector - Selector for the rows
+ * @returns {Array<Object>} - Rows ({ label, value })
+ */
+function readLabeledRows(selector) {
+  const rows = [];
+
+  document.querySelectorAll(selector).forEach(row => {
+    const header = row.querySelector('th');
+    const cells = row.querySelectorAll('td');
+
+    if (header && cells.length > 0) {
+      rows.push({ label: cleanOriginText(header.textContent), value: cleanOriginText(cells[cells.length - 1].textContent) });
+    } else if (cells.length >= 2) {
+      rows.push({ label: cleanOriginText(cells[0].textContent), value: cleanOriginText(cells[cells.length - 1].textContent) });
+    } else {
+      const text = cleanOriginText(row.textContent);
+      const separator = text.indexOf(':');
+      if (separator > 0) {
+        rows.push({ label: text.substring(0, separator).trim(), value: text.substring(separator + 1).trim() });
+      }
+    }
+  });
+
+  return rows;
+}
+
+/**
+ * Find a country name in text
+ * @param {string} text - Text to search
+ * @param {boolean} anywhere - Search the whole text instead of only its start
+ * @returns {string|null} - Display name of the country, or null
+ */
+function findCountryName(text, anywhere = false) {
+  const match = findCountryInText(cleanOriginText(text), anywhere);
+  return match ? match.name : null;
+}
+
+/**
+ * Turn rows labeled "Country of Origin" into country mentions. A value that
+ * isn't a country name we know is still reported as written, since the page
+ * states it outright.
+ * @param {Array<Object>} rows - Rows from readLabeledRows
+ * @returns {Array<Object>} - Mentions ({ country, excerpt })
+ */
+function findLabeledOrigins(rows) {
+  return rows
+    .filter(row => /country(?:\/region)? of origin|^origin$/i.test(row.label) && row.value)
+    .map(row => {
+      const code = findCountryCode(row.value);
+      return {
+        country: code ? getCountryName(code) : row.value,
+        excerpt: shortenOriginExcerpt(`${row.label}: ${row.value}`)
+      };
+    });
+}
+
+/**
+ * Find countries named right after phrases like "made in" or "product of"
+ * @param {string} text - Text to search
+ * @returns {Array<Object>} - Mentions ({ country, excerpt })
+ */
+function findOriginPhrases(text) {
+  const mentions = [];
+  const cleaned = cleanOriginText(text);
+  const pattern = new RegExp(ORIGIN_PHRASE_PATTERN.source, 'gi');
+  let match;
+
+  while ((match = pattern.exec(cleaned)) !== null) {
+    const end = match.index + match[0].length;
+    const country = findCountryName(cleaned.substring(end, end + 40));
+    if (country) {
+      mentions.push({ country, excerpt: shortenOriginExcerpt(cleaned.substring(match.index, end + 40)) });
+    }
+  }
+
+  return mentions;
+}
+
+/**
+ * Find origin phrases in the elements matching a selector
+ * @param {string} selector - Selector for the elements to read
+ * @returns {Array<Object>} - Mentions ({ country, excerpt })
+ */
+function findOriginPhrasesIn(selector) {
+  const mentions = [];
+  document.querySelectorAll(selector).forEach(element => {
+    mentions.push(...findOriginPhrases(element.textContent));
+  });
+  return mentions;
+}
+
+/**
+ * Guess the origin from well-known brands or a brand line naming a country
+ * @returns {Array<Object>} - Mentions ({ country, excerpt })
+ */
+function guessOriginFromBrand() {
+  const brandElement = document.querySelector('#bylineInfo');
+  const brandText = cleanOriginText(brandElement ? brandElement.textContent : '');
+  const brandLower = brandText.toLowerCase();
+
+  if (brandLower.includes('china') || brandLower.includes('chinese')) {
+    return [{ country: 'China', excerpt: shortenOriginExcerpt(brandText) }];
+  }
+  if (brandLower.includes('japan') || brandLower.includes('japanese')) {
+    return [{ country: 'Japan', excerpt: shortenOriginExcerpt(brandText) }];
+  }
+
+  // Japanese brands, unless the page says the product is made elsewhere
+  const japaneseBrands = ['hario', 'muji', 'toto', 'uniqlo', 'shiseido', 'mizuno', 'seiko', 'sony',
+                          'yamaha', 'panasonic', 'hitachi', 'toshiba', 'fujitsu', 'nikon', 'canon'];
+  const pageText = (document.body ? document.body.textContent : '').toLowerCase();
+  const brand = japaneseBrands.find(name => new RegExp(`\\b${name}\\b`).test(brandLower) ||
+                                            new RegExp(`\\b${name}\\b`).test(pageText));
+  if (brand && !/(?:made|manufactured) in (?:china|vietnam)/.test(pageText)) {
+    return [{ country: 'Japan', excerpt: `Japanese brand "${brand}"` }];
+  }
+
+  return [];
+}
+
+/**
+ * Guess the origin from words in the product title
+ * @returns {Array<Object>} - Mentions ({ country, excerpt })
+ */
+function guessOriginFromTitle() {
+  const title = cleanOriginText(document.getElementById('productTitle')?.textContent || '');
+  const titleLower = title.toLowerCase();
+
+  if (titleLower.includes('chinese') ||
+      (titleLower.includes('led') && titleLower.includes('light')) ||
+      titleLower.includes('pinspot') ||
+      titleLower.includes('stage light')) {
+    return [{ country: 'China', excerpt: shortenOriginExcerpt(title) }];
+  }
+  if (titleLower.includes('japanese') || titleLower.includes('hario') ||
+      titleLower.includes('sushi') || titleLower.includes('sake')) {
+    return [{ country: 'Japan', excerpt: shortenOriginExcerpt(title) }];
+  }
+
+  return [];
+}
+
+/**
+ * Run every extractor and collect the origin candidates on the page
+ * @returns {Array<Object>} - Candidates ({ country, countryCode, source, sourceLabel, weight, tier, excerpt })
+ */
+function collectOriginCandidates() {
+  const candidates = [];
+
+  ORIGIN_EXTRACTORS.forEach(extractor => {
+    try {
+      extractor.extract().forEach(mention => {
+        candidates.push({
+          country: mention.country,
+          countryCode: findCountryCode(mention.country),
+          source: extractor.id,
+          sourceLabel: extractor.label,
+          weight: extractor.weight,
+          tier: extractor.tier,
+          excerpt: mention.excerpt
+        });
+      });
+    } catch (error) {
+      console.error(`Origin extractor ${extractor.id} failed:`, error);
+    }
+  });
+
+  return candidates;
+}
+
+/**
+ * Pick the country with the most reliable candidate, preferring anything the
+ * listing states over anything inferred. When two countries are equally
+ * reliable, the one more parts of the page agree on wins.
+ * @param {Array<Object>} candidates - Candidates from collectOriginCandidates
+ * @returns {Object|null} - Best candidate, or null when there are none
+ */
+function pickOriginCandidate(candidates) {
+  const byCountry = {};
+  candidates.forEach(candidate => {
+    const key = candidate.countryCode || candidate.country.toLowerCase();
+    const group = byCountry[key] || (byCountry[key] = { best: candidate, sources: new Set() });
+    if (candidate.weight > group.best.weight) group.best = candidate;
+    group.sources.add(candidate.source);
+  });
+
+  const tierRank = tier => (tier === 'stated' ? 1 : 0);
+  const groups = Object.values(byCountry)
+    .sort((a, b) => tierRank(b.best.tier) - tierRank(a.best.tier) ||
+                    b.best.weight - a.best.weight ||
+                    b.sources.size - a.sources.size);
+
+  return groups.length > 0 ? groups[0].best : null;
+}
+
+/**
+ * Find the country of origin on the current product page
+ * @returns {Object} - Origin ({ country, tier, source, candidates }); tier is
+ *   'stated', 'inferred' or 'unknown', and country is 'Unknown' and source
+ *   null when nothing on the page points to a country
+ */
+function extractCountryOfOrigin() {
+  try {
+    console.log('Looking for country of origin in various places');
+    const candidates = collectOriginCandidates();
+    const best = pickOriginCandidate(candidates);
+
+    if (!best) {
+      console.log('No country found, defaulting to Unknown');
+      return { country: 'Unknown', tier: 'unknown', source: null, candidates };
+    }
+
+    console.log(`Found ${best.tier} country in ${best.sourceLabel}:`, best.country, candidates);
+    return {
+      country: best.country,
+      tier: best.tier,
+      source: {
+        id: best.source,
+        label: best.sourceLabel,
+        weight: best.weight,
+        excerpt: best.excerpt,
+        country: best.country,
+        countryCode: best.countryCode
+      },
+      candidates
+    };
+  } catch (error) {
+    console.error('Error finding country of origin:', error);
+    return { country: 'Unknown', tier: 'unknown', source: null, candidates: [] };
+  }
+}
+
+/**
+ * Use an inferred country of origin for the estimate if the user allows it.
+ * Extracted product data only carries stated countries in countryOfOrigin.
+ * @param {Object} productData - Extracted product data
+ * @returns {Promise<Object>} - Product data with the country to estimate with
+ */
+async function applyOriginSetting(productData) {
+  if (productData.originTier !== 'inferred' || !productData.originSource) return productData;
+
+  const settings = await getUserSettings();
+  if (!settings.useInferredOrigin) return productData;
+
+  console.log('Using inferred country of origin:', productData.originSource.country);
+  return { ...productData, countryOfOrigin: productData.originSource.country };
+}
@@ -0,0 +1,88 @@
+/**
+ * Amazon Tariff Checker
+ * Copyright (c) 2025 Dual Lens (https://duallens.substack.com)
+ * This code is licensed under the MIT License.
+ * For the full license text, see the LICENSE file in the project repository
+ * or visit: https://opensource.org/licenses/MIT
+ * DISCLAIMER: This extension is not affiliated with Amazon.com. It only processes
+ * information visible on the current page and does not collect or transmit user data.
+ * All analysis occurs locally within the browser.
+ */
+
+// passthrough.js - How much of the duty the listed price is assumed to
+// carry. Nobody outside the seller knows, so the user picks an assumption
+// in the popup: the importer absorbs the duty, passes it on as it is, marks
+// it up like the rest of its costs, or passes on a set percentage. The
+// estimate's split of the price into pre-tariff price and tariff follows it.
+
+// Assumptions the user can pick from. `share` is the part of the duty in the
+// price; the markup preset works it out from the customs value instead.
+var PASS_THROUGH_PRESETS = {
+  absorb: {
+    label: 'Importer absorbs the duty',
+    share: 0,
+    describe: () => 'Assumes the importer absorbs the duty, so none of it is in the Amazon price.'
+  },
+  full: {
+    label: 'Full pass-through',
+    share: 1,
+    describe: () => 'Assumes the duty is passed on as it is, so all of it is built into the Amazon price.'
+  },
+  markup: {
+    label: 'Markup on duty',
+    share: null,
+    describe: share => `Assumes the seller marks the duty up like its other costs, so the price carries ${(share * 100).toFixed(0)}% of the duty.`
+  },
+  custom: {
+    label: 'Set percentage',
+    share: null,
+    describe: share => `Assumes ${(share * 100).toFixed(0)}% of the duty is passed on in the Amazon price.`
+  }
+};
+
+/**
+ * Work out the part of the duty in the price under the user's assumption
+ * @param {Object} settings - User settings (passThroughMode, passThroughPercent)
+ * @param {Object} tariffData - Tariff information (customsValueRatio)
+ * @returns {number} - Share of the duty in the price (above 1 when marked up)
+ */
+function getPassThroughShare(settings, tariffData) {
+  if (settings.passThroughMode === 'markup') {
+    // Retail prices are marked up from the customs value by 1 / ratio
+    return tariffData.customsValueRatio > 0 ? 1 / tariffData.customsValueRatio : 1;
+  }
+  if (settings.passThroughMode === 'custom') {
+    return Math.min(100, Math.max(0, settings.passThroughPercent)) / 100;
+  }
+  const preset = PASS_THROUGH_PRESETS[settings.passThroughMode] || PASS_THROUGH_PRESETS.full;
+  return preset.share;
+}
+
+/**
+ * Split the price into pre-tariff price and tariff under the user's assumption
+ * @param {Object} productData - Product data (price)
+ * @param {Object} tariffData - Tariff information
+ * @param {Object} settings - User settings (passThroughMode, passThroughPercent)
+ * @returns {Object} - Tariff information with preTariffPrice, retailShare and
+ *   passThrough ({ mode, label, share, amount, description })
+ */
+function applyPassThrough(productData, tariffData, settings) {
+  const mode = PASS_THROUGH_PRESETS[settings.passThroughMode] ? settings.passThroughMode : 'full';
+  const share = getPassThroughShare(settings, tariffData);
+  const price = productData.price || 0;
+  // The price can't carry more than itself
+  const amount = Math.min(tariffData.tariffAmount * share, price);
+
+  return {
+    ...tariffData,
+    preTariffPrice: price - amount,
+    retailShare: price > 0 ? amount / price : 0,
+    passThrough: {
+      mode,
+      label: PASS_THROUGH_PRESETS[mode].label,
+      share,
+      amount,
+      description: PASS_THROUGH_PRESETS[mode].describe(share)
+    }
+  };
+}
@@ -0,0 +1,243 @@
+/**
+ * Amazon Tariff Checker
+ * Copyright (c) 2025 Dual Lens (https://duallens.substack.com)
+ * This code is licensed under the MIT License.
+ * For the full license text, see the LICENSE file in the project repository
+ * or visit: https://opensource.org/licenses/MIT
+ * DISCLAIMER: This extension is not affiliated with Amazon.com. It only processes
+ * information visible on the current page and does not collect or transmit user data.
+ * All analysis occurs locally within the browser.
+ */
+
+// priceextractor.js - Reads the prices in a product page's buy box. Amazon
+// shows several figures next to each other (the price to pay, a struck-out
+// list price, a price per count or ounce, a Subscribe & Save price, coupons,
+// and a range while no size or color is picked), so each is read from its
+// own element and only the buy box is searched, never carousels or ads.
+// The estimate uses the price to pay, or the low end of the range.
+
+// Buy-box areas, current layouts first, then older ones
+var PRICE_REGION_SELECTOR = '#corePriceDisplay_desktop_feature_div, #corePrice_desktop, #corePrice_feature_div, ' +
+                            '#apex_desktop, #price, #priceblock_ourprice_row, #buybox';
+
+// Elements holding each figure. Struck-out (.a-text-price) and per-unit
+// (.pricePerUnit, mini) prices are excluded from the price to pay.
+var PRICE_SELECTORS = {
+  buyBox: [
+    '#corePriceDisplay_desktop_feature_div .priceToPay',
+    '#corePrice_feature_div .priceToPay',
+    '#corePrice_desktop .apexPriceToPay',
+    '#apex_desktop .priceToPay',
+    '#tp_price_block_total_price_ww',
+    '#price_inside_buybox',
+    '#newBuyBoxPrice',
+    '#priceblock_dealprice',
+    '#priceblock_saleprice',
+    '#priceblock_ourprice',
+    '#corePrice_feature_div .a-price:not(.a-text-price)'
+  ],
+  listPrice: [
+    '#corePriceDisplay_desktop_feature_div .basisPrice .a-text-price',
+    '#corePrice_desktop .a-text-price[data-a-strike="true"]',
+    '#apex_desktop .basisPrice .a-text-price',
+    '#listPrice',
+    '#priceblock_listprice'
+  ],
+  subscribeAndSave: [
+    '#snsAccordionRowMiddle .a-price',
+    '#sns-base-price',
+    '#subscriptionPrice .a-price',
+    '#sns-tiered-price'
+  ],
+  coupon: [
+    '#couponBadgeRegularVpc',
+    '#promoPriceBlockMessage_feature_div',
+    '#vpcButton',
+    '.couponLabelText'
+  ],
+  range: [
+    '#corePriceDisplay_desktop_feature_div .a-price-range',
+    '#corePrice_desktop .a-price-range',
+    '#apex_desktop .a-price-range'
+  ]
+};
+
+// Labels for the figure the estimate used
+var PRICE_SOURCE_LABELS = {
+  buyBox: 'buy-box price',
+  range: 'lowest price in the range',
+  listPrice: 'list price',
+  none: 'no price found'
+};
+
+/**
+ * Read every dollar amount in text, e.g. "$1,299.99" as 1299.99
+ * @param {string} text - Text to read
+ * @returns {Array<number>} - Amounts in the order they appear
+ */
+function parsePriceAmounts(text) {
+  const amounts = [];
+  const pattern = /\$\s*(\d{1,3}(?:,\d{3})*(?:\.\d{1,2})?|\d+(?:\.\d{1,2})?)/g;
+  let match;
+
+  while ((match = pattern.exec(text || '')) !== null) {
+    amounts.push(parseFloat(match[1].replace(/,/g, '')));
+  }
+
+  return amounts;
+}
+
+/**
+ * Read the amount shown by a price element. Amazon puts the full price in a
+ * hidden .a-offscreen span and splits the visible one into whole and
+ * fraction parts, so the hidden copy is preferred.
+ * @param {Element} element - Price element
+ * @returns {number|null} - Amount, or null when the element shows none
+ */
+function readPriceElement(element) {
+  const offscreen = element.querySelector('.a-offscreen');
+  if (offscreen && offscreen.textContent.trim()) {
+    const [amount] = parsePriceAmounts(offscreen.textContent);
+    if (amount !== undefined) return amount;
+  }
+
+  const whole = element.querySelector('.a-price-whole');
+  if (whole) {
+    const fraction = element.querySelector('.a-price-fraction');
+    const amount = parseFloat(`${whole.textContent.replace(/[^\d]/g, '')}.${fraction ? fraction.textContent.replace(/[^\d]/g, '') : '0'}`);
+    if (!isNaN(amount)) return amount;
+  }
+
+  const [amount] = parsePriceAmounts(element.textContent);
+  return amount !== undefined ? amount : null;
+}
+
+/**
+ * Find the first element matching one of the selectors that shows an amount
+ * @param {Array<string>} selectors - Selectors, most reliable first
+ * @returns {Object|null} - The element and its text ({ element, text })
+ */
+function findPriceElement(selectors) {
+  for (const selector of selectors) {
+    for (const element of document.querySelectorAll(selector)) {
+      if (element.closest('.pricePerUnit, [data-a-size="mini"]')) continue;
+      const text = element.textContent.replace(/\s+/g, ' ').trim();
+      if (text) return { element, text };
+    }
+  }
+  return null;
+}
+
+/**
+ * Read a price range like "$12.99 - $24.99", which Amazon shows until a
+ * size or color is selected
+ * @returns {Object|null} - Range ({ low, high }), or null when there is none
+ */
+function extractPriceRange() {
+  const found = findPriceElement(PRICE_SELECTORS.range);
+  const prices = found
+    ? Array.from(found.element.querySelectorAll('.a-price')).map(readPriceElement).filter(amount => amount !== null)
+    : [];
+
+  // Older layouts write the range as text in the price block
+  if (prices.length < 2) {
+    const legacy = findPriceElement(['#priceblock_ourprice', '#priceblock_saleprice']);
+    if (legacy && /\d\s*[-\u2013]\s*\$/.test(legacy.text)) prices.push(...parsePriceAmounts(legacy.text));
+  }
+
+  if (prices.length < 2) return null;
+  return { low: Math.min(...prices), high: Math.max(...prices) };
+}
+
+/**
+ * Read the price per unit, e.g. "($0.21 / Count)"
+ * @returns {Object|null} - Unit price ({ amount, unit }), or null when there is none
+ */
+function extractUnitPrice() {
+  for (const region of document.querySelectorAll(PRICE_REGION_SELECTOR)) {
+    const text = region.textContent.replace(/\s+/g, ' ');
+    // The amount is often written twice, once for screen readers
+    const match = text.match(/\(\s*\$([\d,]+(?:\.\d+)?)(?:\s*\$[\d,]+(?:\.\d+)?)?\s*(?:\/|per)\s*([A-Za-z][A-Za-z .]{0,20}?)\s*\)/);
+    if (match) return { amount: parseFloat(match[1].replace(/,/g, '')), unit: match[2].trim() };
+  }
+  return null;
+}
+
+/**
+ * Read a clippable coupon, e.g. "Apply 15% coupon" or "Save $5.00 with coupon"
+ * @returns {Object|null} - Coupon ({ type: 'percent'|'amount', value, text }), or null when there is none
+ */
+function extractCoupon() {
+  const found = findPriceElement(PRICE_SELECTORS.coupon);
+  if (!found || !/coupon/i.test(found.text)) return null;
+
+  const text = found.text.length > 80 ? `${found.text.substring(0, 77)}...` : found.text;
+  const percent = found.text.match(/(\d+(?:\.\d+)?)\s*%/);
+  if (percent) return { type: 'percent', value: parseFloat(percent[1]), text };
+
+  const [amount] = parsePriceAmounts(found.text);
+  if (amount !== undefined) return { type: 'amount', value: amount, text };
+
+  return null;
+}
+
+/**
+ * Read one figure from the first of its elements on the page
+ * @param {Array<string>} selectors - Selectors for the figure
+ * @returns {number|null} - Amount, or null when the page doesn't show it
+ */
+function extractPriceFigure(selectors) {
+  const found = findPriceElement(selectors);
+  return found ? readPriceElement(found.element) : null;
+}
+
+/**
+ * Read the prices on the current product page
+ * @returns {Object} - Prices ({ price, source, sourceLabel, buyBox, listPrice,
+ *   unitPrice, subscribeAndSave, coupon, range }); price is the figure the
+ *   estimate uses and source names it, and figures the page doesn't show are null
+ */
+function extractProductPrice() {
+  const prices = {
+    buyBox: null,
+    listPrice: null,
+    unitPrice: null,
+    subscribeAndSave: null,
+    coupon: null,
+    range: null
+  };
+
+  try {
+    prices.range = extractPriceRange();
+    // Neither a price inside the range nor a legacy price block holding a
+    // range is a single price to pay
+    const buyBox = findPriceElement(PRICE_SELECTORS.buyBox);
+    if (buyBox && !buyBox.element.closest('.a-price-range') &&
+        !(prices.range && parsePriceAmounts(buyBox.text).length > 1)) {
+      prices.buyBox = readPriceElement(buyBox.element);
+    }
+    prices.listPrice = extractPriceFigure(PRICE_SELECTORS.listPrice);
+    prices.unitPrice = extractUnitPrice();
+    prices.subscribeAndSave = extractPriceFigure(PRICE_SELECTORS.subscribeAndSave);
+    prices.coupon = extractCoupon();
+  } catch (error) {
+    console.error('Error reading prices:', error);
+  }
+
+  let source = 'none';
+  let price = 0;
+  if (prices.buyBox) {
+    source = 'buyBox';
+    price = prices.buyBox;
+  } else if (prices.range) {
+    source = 'range';
+    price = prices.range.low;
+  } else if (prices.listPrice) {
+    // Unavailable products sometimes only show what they used to cost
+    source = 'listPrice';
+    price = prices.listPrice;
+  }
+
+  console.log(`Price used: ${price} (${PRICE_SOURCE_LABELS[source]})`, prices);
+  return { price, source, sourceLabel: PRICE_SOURCE_LABELS[source], ...prices };
+}
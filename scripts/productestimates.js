@@ -0,0 +1,134 @@
+/**
+ * Amazon Tariff Checker
+ * Copyright (c) 2025 Dual Lens (https://duallens.substack.com)
+ * This code is licensed under the MIT License.
+ * For the full license text, see the LICENSE file in the project repository
+ * or visit: https://opensource.org/licenses/MIT
+ * DISCLAIMER: This extension is not affiliated with Amazon.com. It only processes
+ * information visible on the current page and does not collect or transmit user data.
+ * All analysis occurs locally within the browser.
+ */
+
+// productestimates.js - The last estimate shown on each product page,
+// remembered per ASIN in chrome.storage.local. The cart doesn't say where
+// its items come from, so cartsummary.js reuses what the product pages found.
+
+var PRODUCT_ESTIMATES_STORAGE_KEY = 'productEstimates';
+
+// Most products remembered; the ones viewed longest ago are dropped first
+var MAX_PRODUCT_ESTIMATES = 300;
+
+// Writes are chained so concurrent ones don't drop each other's entries.
+// Content scripts hand theirs to the background service worker, so the
+// writes from every tab go through its queue.
+var productEstimatesQueue = Promise.resolve();
+
+/**
+ * Change the stored estimates after every change queued before it
+ * @param {Function} operation - Function receiving the stored estimates by ASIN to change
+ * @returns {Promise<void>}
+ */
+function queueProductEstimatesOperation(operation) {
+  const result = productEstimatesQueue.then(async () => {
+    const stored = await chrome.storage.local.get(PRODUCT_ESTIMATES_STORAGE_KEY);
+    const estimates = stored[PRODUCT_ESTIMATES_STORAGE_KEY] || {};
+    operation(estimates);
+    await chrome.storage.local.set({ [PRODUCT_ESTIMATES_STORAGE_KEY]: estimates });
+  });
+  productEstimatesQueue = result.catch(error => {
+    console.error('Product estimates operation failed:', error);
+  });
+  return result;
+}
+
+/**
+ * Store the estimate for a product, dropping the oldest ones beyond
+ * MAX_PRODUCT_ESTIMATES
+ * @param {string} asin - Product ASIN
+ * @param {Object} estimate - Estimate built by rememberProductEstimate
+ * @returns {Promise<void>}
+ */
+function saveProductEstimate(asin, estimate) {
+  return queueProductEstimatesOperation(estimates => {
+    estimates[asin] = estimate;
+
+    const asins = Object.keys(estimates);
+    if (asins.length > MAX_PRODUCT_ESTIMATES) {
+      asins
+        .sort((a, b) => estimates[a].savedAt.localeCompare(estimates[b].savedAt))
+        .slice(0, asins.length - MAX_PRODUCT_ESTIMATES)
+        .forEach(asin => delete estimates[asin]);
+    }
+  });
+}
+
+/**
+ * Remember the estimate shown for a product. Products without a known
+ * origin aren't remembered, since there is nothing to reuse.
+ * @param {Object} productData - Product data (with asin)
+ * @param {Object} tariffData - Tariff information
+ * @returns {Promise<void>}
+ */
+function rememberProductEstimate(productData, tariffData) {
+  if (!productData.asin || !productData.countryOfOrigin || productData.countryOfOrigin === 'Unknown') {
+    return Promise.resolve();
+  }
+
+  const estimate = {
+    productTitle: productData.productTitle,
+    category: productData.category || '',
+    countryOfOrigin: productData.countryOfOrigin,
+    // Whether the page stated the country or it was guessed ('stated' or 'inferred')
+    originTier: productData.originTier || null,
+    originBasis: productData.originSource ? productData.originSource.excerpt : null,
+    price: productData.price,
+    htsCode: tariffData.htsCode && tariffData.htsCode !== '9999' ? tariffData.htsCode : null,
+    shipmentMode: productData.shipmentMode || null,
+    tariffRate: tariffData.tariffRate,
+    tariffAmount: tariffData.tariffAmount,
+    isSubjectToTariff: tariffData.isSubjectToTariff,
+    message: tariffData.message,
+    scheduleVersion: TARIFF_RATE_SCHEDULE.version,
+    savedAt: new Date().toISOString()
+  };
+
+  return new Promise((resolve, reject) => {
+    const saveHere = () => saveProductEstimate(productData.asin, estimate).then(resolve, reject);
+    try {
+      chrome.runtime.sendMessage({ action: 'rememberProductEstimate', asin: productData.asin, estimate }, function(response) {
+        if (chrome.runtime.lastError || !response || response.error) {
+          console.error('Background unavailable, remembering the estimate from this page:',
+                        chrome.runtime.lastError || (response && response.error));
+          saveHere();
+          return;
+        }
+
+        resolve();
+      });
+    } catch (error) {
+      // The extension context is gone (e.g. the extension was reloaded)
+      console.error('Could not reach background to remember the estimate:', error);
+      saveHere();
+    }
+  });
+}
+
+/**
+ * Read the remembered estimates for some products
+ * @param {Array<string>} asins - Product ASINs
+ * @returns {Promise<Object>} - Estimates by ASIN, for the products that have one
+ */
+async function getProductEstimates(asins) {
+  try {
+    const stored = await chrome.storage.local.get(PRODUCT_ESTIMATES_STORAGE_KEY);
+    const estimates = stored[PRODUCT_ESTIMATES_STORAGE_KEY] || {};
+    const found = {};
+    asins.forEach(asin => {
+      if (estimates[asin]) found[asin] = estimates[asin];
+    });
+    return found;
+  } catch (error) {
+    console.error('Error reading product estimates:', error);
+    return {};
+  }
+}
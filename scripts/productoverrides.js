@@ -0,0 +1,112 @@
+/**
+ * Amazon Tariff Checker
+ * Copyright (c) 2025 Dual Lens (https://duallens.substack.com)
+ * This code is licensed under the MIT License.
+ * For the full license text, see the LICENSE file in the project repository
+ * or visit: https://opensource.org/licenses/MIT
+ * DISCLAIMER: This extension is not affiliated with Amazon.com. It only processes
+ * information visible on the current page and does not collect or transmit user data.
+ * All analysis occurs locally within the browser.
+ */
+
+// productoverrides.js - Corrections the user made in the tariff modal (country of
+// origin, HTS code, price and shipment mode), remembered per ASIN in
+// chrome.storage.local so the corrected estimate shows up on the next visit.
+
+var PRODUCT_OVERRIDES_STORAGE_KEY = 'productOverrides';
+
+// Product data fields the user can override
+var OVERRIDABLE_FIELDS = ['countryOfOrigin', 'htsCode', 'price', 'shipmentMode'];
+
+/**
+ * Find the ASIN of the product on the current page
+ * @returns {string|null} - ASIN, or null if the page doesn't show one
+ */
+function extractASIN() {
+  const urlMatch = window.location.pathname.match(/\/(?:dp|gp\/product)\/([A-Z0-9]{10})/i);
+  if (urlMatch) return urlMatch[1].toUpperCase();
+
+  const asinInput = document.querySelector('#ASIN, input[name="ASIN"]');
+  return asinInput && asinInput.value ? asinInput.value.toUpperCase() : null;
+}
+
+/**
+ * Read the saved overrides for a product
+ * @param {string} asin - Product ASIN
+ * @returns {Promise<Object|null>} - Saved overrides, or null if there are none
+ */
+async function getProductOverrides(asin) {
+  if (!asin) return null;
+
+  try {
+    const stored = await chrome.storage.local.get(PRODUCT_OVERRIDES_STORAGE_KEY);
+    const overrides = stored[PRODUCT_OVERRIDES_STORAGE_KEY] || {};
+    return overrides[asin] || null;
+  } catch (error) {
+    console.error('Error reading product overrides:', error);
+    return null;
+  }
+}
+
+/**
+ * Save the overrides for a product, or remove them when there are none
+ * @param {string} asin - Product ASIN
+ * @param {Object|null} productOverrides - Overridden fields
+ * @returns {Promise<void>}
+ */
+async function saveProductOverrides(asin, productOverrides) {
+  if (!asin) return;
+
+  const stored = await chrome.storage.local.get(PRODUCT_OVERRIDES_STORAGE_KEY);
+  const overrides = stored[PRODUCT_OVERRIDES_STORAGE_KEY] || {};
+
+  if (productOverrides && Object.keys(productOverrides).length > 0) {
+    overrides[asin] = { ...productOverrides, savedAt: new Date().toISOString() };
+  } else {
+    delete overrides[asin];
+  }
+
+  await chrome.storage.local.set({ [PRODUCT_OVERRIDES_STORAGE_KEY]: overrides });
+}
+
+/**
+ * Apply overrides to extracted product data. The values read from the
+ * page are kept in `detected` so the overrides can be undone.
+ * @param {Object} productData - Product data extracted from the page
+ * @param {Object|null} productOverrides - Overridden fields
+ * @returns {Object} - Product data with the overrides applied
+ */
+function applyProductOverrides(productData, productOverrides) {
+  // A copy, so applying overrides again never writes into the caller's data
+  const detected = { ...(productData.detected || {}) };
+  OVERRIDABLE_FIELDS.forEach(field => {
+    if (!(field in detected)) detected[field] = productData[field];
+  });
+
+  // Start from the page values so removed overrides fall back to them
+  const applied = { ...productData, ...detected, detected, overrides: {} };
+  OVERRIDABLE_FIELDS.forEach(field => {
+    if (productOverrides && productOverrides[field] !== undefined && productOverrides[field] !== null) {
+      applied[field] = productOverrides[field];
+      applied.overrides[field] = productOverrides[field];
+    }
+  });
+
+  return applied;
+}
+
+/**
+ * Add the ASIN to extracted product data and apply any saved overrides
+ * @param {Object} productData - Product data extracted from the page
+ * @returns {Promise<Object>} - Product data with the saved overrides applied
+ */
+async function loadProductOverrides(productData) {
+  const asin = productData.asin || extractASIN();
+  const productOverrides = await getProductOverrides(asin);
+
+  if (productOverrides) {
+    console.log('Applying saved overrides for', asin, productOverrides);
+  }
+
+  return applyProductOverrides({ ...productData, asin }, productOverrides);
+}
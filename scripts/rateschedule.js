@@ -0,0 +1,666 @@
+/**
+ * Amazon Tariff Checker
+ * Copyright (c) 2025 Dual Lens (https://duallens.substack.com)
+ * This code is licensed under the MIT License.
+ * For the full license text, see the LICENSE file in the project repository
+ * or visit: https://opensource.org/licenses/MIT
+ * DISCLAIMER: This extension is not affiliated with Amazon.com. It only processes
+ * information visible on the current page and does not collect or transmit user data.
+ * All analysis occurs locally within the browser.
+ */
+
+/**
+ * Tariff Rate Schedule
+ *
+ * The single table of country tariff rates. The product page content script,
+ * the popup-injected script and the tariff API connector all read their rates
+ * from here, so a policy update only has to be made in one place.
+ *
+ * Each country lists its rules in priority order. A rule belongs to a duty
+ * program (see `programs`; 'reciprocal' unless stated) and may be limited to an
+ * HTS scope (see `scopes`) and/or a shipment type ('postal' or 'courier',
+ * see `shipmentModes`), and is only in force from its `effectiveFrom` date
+ * until (but not including) its `effectiveTo` date. The first rule that is in force on the
+ * calculation date and matches the product wins.
+ *
+ * Countries are identified by their ISO 3166-1 code, resolved with the
+ * country table in countries.js, which must be loaded first.
+ */
+
+// Declared with var so the popup can inject this file into a page where the
+// content script has already loaded it without a redeclaration error
+var TARIFF_RATE_SCHEDULE = {
+  version: '2025-08-29',
+  lastUpdated: 'August 29, 2025',
+
+  // Display labels for each duty program, in the order the stacking engine lists them
+  programs: {
+    mfn: 'MFN base duty',
+    postal: 'Postal shipment duty',
+    section232: 'Section 232 duty',
+    reciprocal: 'Reciprocal tariff (IEEPA)',
+    fentanyl: 'Fentanyl-related tariff (IEEPA)',
+    section301: 'Section 301 duty'
+  },
+
+  // Product scopes that rules can be limited to. A product is in scope when
+  // its HTS code starts with one of the prefixes or, when no HTS code is
+  // known, its Amazon category contains one of the keywords.
+  scopes: {
+    food: {
+      keywords: ['food', 'produce', 'vegetable', 'fruit'],
+      hts: ['01', '02', '03', '04', '05', '06', '07', '08', '09', '10', '11', '12',
+            '13', '14', '15', '16', '17', '18', '19', '20', '21', '22', '23', '24']
+    },
+    energy: {
+      keywords: ['energy', 'oil', 'gas', 'potash'],
+      hts: ['27', '3104']
+    }
+  },
+
+  // Keyed by ISO 3166-1 alpha-2 code ('EU' for the European Union). isoCodes
+  // lists every country the entry covers (see countries.js). htsPrograms lists
+  // the HTS special program indicators (free trade agreements) that goods from
+  // a country can claim against the MFN rate
+  countries: {
+    CN: {
+      name: 'China',
+      isoCodes: ['CN', 'HK', 'MO'],
+      rules: [
+        // De minimis exemption removed on May 2, 2025: postal shipments pay
+        // 120% or a flat fee per item, whichever is higher. The flat fee
+        // rises from $100 to $200 on June 1, 2025.
+        { shipment: 'postal', program: 'postal', rate: 1.20, flatFee: 100,
+          effectiveFrom: '2025-05-02', effectiveTo: '2025-06-01',
+          message: 'This product from China is subject to a 120% tariff rate as a postal shipment under the May 2025 trade policy' },
+        { shipment: 'postal', program: 'postal', rate: 1.20, flatFee: 200,
+          effectiveFrom: '2025-06-01',
+          message: 'This product from China is subject to a 120% tariff rate as a postal shipment under the June 2025 trade policy' },
+        { rate: 1.25,
+          effectiveFrom: '2025-04-10',
+          message: 'This product from China is subject to a 125% reciprocal tariff rate under the May 2025 trade policy (de minimis exemption removed)' }
+      ],
+      // Additional IEEPA tariffs charged on top of the country rule
+      surcharges: [
+        { program: 'fentanyl', rate: 0.10,
+          effectiveFrom: '2025-02-04', effectiveTo: '2025-03-04' },
+        { program: 'fentanyl', rate: 0.20,
+          effectiveFrom: '2025-03-04' }
+      ]
+    },
+    MX: {
+      name: 'Mexico',
+      isoCodes: ['MX'],
+      rules: [
+        { scope: 'food', program: 'fentanyl', rate: 0,
+          effectiveFrom: '2025-03-04',
+          message: 'This product appears to qualify for USMCA exemption (0% tariff)' },
+        { program: 'fentanyl', rate: 0.25,
+          effectiveFrom: '2025-03-04',
+          message: 'This product from Mexico is subject to a 25% tariff on non-USMCA compliant goods' }
+      ]
+    },
+    CA: {
+      name: 'Canada',
+      isoCodes: ['CA'],
+      rules: [
+        { scope: 'food', program: 'fentanyl', rate: 0,
+          effectiveFrom: '2025-03-04',
+          message: 'This product appears to qualify for USMCA exemption (0% tariff)' },
+        { scope: 'energy', program: 'fentanyl', rate: 0.10,
+          effectiveFrom: '2025-03-04',
+          message: 'This product from Canada is subject to a 10% tariff (energy/potash non-USMCA rate)' },
+        { program: 'fentanyl', rate: 0.25,
+          effectiveFrom: '2025-03-04',
+          message: 'This product from Canada is subject to a 25% tariff on non-USMCA compliant goods' }
+      ]
+    },
+    JP: {
+      name: 'Japan',
+      isoCodes: ['JP'],
+      htsPrograms: ['JP'],
+      rules: [
+        // 24% reciprocal rate reduced to 10% for a 90-day pause
+        { rate: 0.10,
+          effectiveFrom: '2025-04-09', effectiveTo: '2025-07-09',
+          message: 'This product from Japan is subject to a 10% tariff rate under the May 2025 trade policy (reduced from 24% for 90 days)' },
+        { rate: 0.24,
+          effectiveFrom: '2025-07-09',
+          message: 'This product from Japan is subject to a 24% tariff rate now that the 90-day pause has ended' }
+      ]
+    },
+    EU: {
+      name: 'the European Union',
+      isoCodes: ['AT', 'BE', 'BG', 'HR', 'CY', 'CZ', 'DK', 'EE', 'FI', 'FR', 'DE', 'GR', 'HU', 'IE',
+                 'IT', 'LV', 'LT', 'LU', 'MT', 'NL', 'PL', 'PT', 'RO', 'SK', 'SI', 'ES', 'SE'],
+      rules: [
+        { rate: 0.20,
+          effectiveFrom: '2025-04-09',
+          message: 'This product from the European Union is subject to a 20% tariff rate under the May 2025 trade policy' }
+      ]
+    },
+    VN: {
+      name: 'Vietnam',
+      isoCodes: ['VN'],
+      rules: [
+        { rate: 0.46,
+          effectiveFrom: '2025-04-09',
+          message: 'This product from Vietnam is subject to a 46% tariff rate under the May 2025 trade policy' }
+      ]
+    },
+    KR: {
+      name: 'South Korea',
+      isoCodes: ['KR'],
+      htsPrograms: ['KR'],
+      rules: [
+        { rate: 0.25,
+          effectiveFrom: '2025-04-09',
+          message: 'This product from South Korea is subject to a 25% tariff rate under the May 2025 trade policy' }
+      ]
+    },
+    TW: {
+      name: 'Taiwan',
+      isoCodes: ['TW'],
+      rules: [
+        { rate: 0.32,
+          effectiveFrom: '2025-04-09',
+          message: 'This product from Taiwan is subject to a 32% tariff rate under the May 2025 trade policy' }
+      ]
+    },
+    GB: {
+      name: 'the UK',
+      isoCodes: ['GB'],
+      rules: [
+        { rate: 0.10,
+          effectiveFrom: '2025-04-09',
+          message: 'This product from the UK is subject to a 10% tariff rate under the May 2025 trade policy' }
+      ]
+    },
+    IN: {
+      name: 'India',
+      isoCodes: ['IN'],
+      rules: [
+        { rate: 0.40,
+          effectiveFrom: '2025-04-09',
+          message: 'This product from India is subject to a 40% tariff rate under the May 2025 trade policy' }
+      ]
+    },
+    ID: {
+      name: 'Indonesia',
+      isoCodes: ['ID'],
+      rules: [
+        { rate: 0.32,
+          effectiveFrom: '2025-04-09',
+          message: 'This product from Indonesia is subject to a 32% tariff rate under the May 2025 trade policy' }
+      ]
+    },
+    TH: {
+      name: 'Thailand',
+      isoCodes: ['TH'],
+      rules: [
+        { rate: 0.20,
+          effectiveFrom: '2025-04-09',
+          message: 'This product from Thailand is subject to a 20% tariff rate under the May 2025 trade policy' }
+      ]
+    },
+    MY: {
+      name: 'Malaysia',
+      isoCodes: ['MY'],
+      rules: [
+        { rate: 0.25,
+          effectiveFrom: '2025-04-09',
+          message: 'This product from Malaysia is subject to a 25% tariff rate under the May 2025 trade policy' }
+      ]
+    },
+    BR: {
+      name: 'Brazil',
+      isoCodes: ['BR'],
+      rules: [
+        { rate: 0.10,
+          effectiveFrom: '2025-04-09',
+          message: 'This product from Brazil is subject to a 10% tariff rate under the May 2025 trade policy' }
+      ]
+    },
+    AU: {
+      name: 'Australia',
+      isoCodes: ['AU'],
+      htsPrograms: ['AU'],
+      rules: [
+        { rate: 0.10,
+          effectiveFrom: '2025-04-09',
+          message: 'This product from Australia is subject to a 10% tariff rate under the May 2025 trade policy' }
+      ]
+    }
+  },
+
+  // Universal baseline tariff for every country not listed above
+  defaultRule: {
+    rate: 0.10,
+    effectiveFrom: '2025-04-05',
+    message: 'Products from {country} are subject to the universal 10% baseline tariff implemented in May 2025'
+  },
+
+  // Applied when the country of origin could not be found on the page
+  unknownRule: {
+    rate: 0.10,
+    effectiveFrom: '2025-04-05',
+    message: 'Country of origin unknown, applying the minimum baseline 10% tariff'
+  },
+
+  // Section 301 duties on Chinese-origin goods, charged on top of the country
+  // rate. Lists are matched on HTS prefixes; the longest matching prefix wins.
+  // This is a simplified heading-level subset of the USTR lists; List 4B was
+  // suspended and is not charged.
+  section301: {
+    countries: ['CN'],
+    lists: [
+      { id: 'List 1', rate: 0.25, effectiveFrom: '2018-07-06',
+        hts: ['8407', '8408', '8409', '8412', '8413', '8414', '8419', '8421', '8424',
+              '8456', '8457', '8458', '8459', '8460', '8461', '8462', '8466', '8479',
+              '8481', '8483', '8486', '8501', '8502', '8503', '8511', '8514', '8526',
+              '8536', '8537', '8543', '8708', '9013', '9025', '9026', '9027', '9031', '9032'] },
+      { id: 'List 2', rate: 0.25, effectiveFrom: '2018-08-23',
+        hts: ['3917', '3919', '3920', '3921', '4009', '4016', '7304', '7306', '8541',
+              '8542', '8609', '8716'] },
+      { id: 'List 3', rate: 0.25, effectiveFrom: '2019-05-10',
+        hts: ['4201', '4202', '4820', '4823', '5705', '6601', '7013', '7323', '8205',
+              '8302', '8473', '8504', '8507', '8516', '8518.22', '8544', '9401', '9403',
+              '9404', '9405'] },
+      { id: 'List 4A', rate: 0.075, effectiveFrom: '2020-02-14',
+        hts: ['3303', '3304', '6105', '6107', '6109', '6110', '6115', '6116', '6117',
+              '6201', '6203', '6204', '6301', '6302', '6303', '6403', '6404', '6505',
+              '6911', '7113', '8211', '8215', '8509', '8518.30', '8525.80', '8528.72',
+              '9004', '9102', '9608'] }
+    ]
+  },
+
+  // Section 232 national security duties. Goods they cover pay the Section
+  // 232 rate instead of the country's reciprocal tariff. Primary articles are
+  // matched on HTS prefixes alone; derivative articles are matched on HTS
+  // prefix plus a detected material, and only their metal content is dutiable.
+  section232: {
+    programs: [
+      { id: 'steel', label: 'Section 232 steel', hts: ['72', '73'], materials: ['steel', 'metal'],
+        rates: [
+          { rate: 0.25, effectiveFrom: '2025-03-12', effectiveTo: '2025-06-04' },
+          { rate: 0.50, effectiveFrom: '2025-06-04' }
+        ] },
+      { id: 'aluminum', label: 'Section 232 aluminum', hts: ['76'], materials: ['aluminum'],
+        rates: [
+          { rate: 0.25, effectiveFrom: '2025-03-12', effectiveTo: '2025-06-04' },
+          { rate: 0.50, effectiveFrom: '2025-06-04' }
+        ] },
+      { id: 'autoParts', label: 'Section 232 auto parts', hts: ['8708'], materials: [],
+        rates: [
+          { rate: 0.25, effectiveFrom: '2025-05-03' }
+        ] }
+    ],
+    derivatives: {
+      hts: ['8205', '8211', '8215', '8302', '8418', '8450', '8516', '9401', '9403', '9405'],
+      // Share of the product's value assumed to be steel or aluminum content
+      metalContentShare: 0.5
+    }
+  },
+
+  // How duty programs combine. When the `when` program applies, each program
+  // in `excludes` is dropped (optionally only for the listed countries). With
+  // `coveredContentOnly`, it is dropped only for the share of the value the
+  // `when` program covers, e.g. the metal content of a Section 232 derivative.
+  stacking: {
+    exclusions: [
+      { when: 'postal', excludes: ['mfn', 'reciprocal', 'fentanyl', 'section232', 'section301'],
+        reason: 'Postal shipments pay a single duty in place of all other tariffs' },
+      { when: 'section232', excludes: ['reciprocal'], coveredContentOnly: true,
+        reason: 'Goods subject to Section 232 are excluded from the reciprocal tariff' },
+      { when: 'section232', excludes: ['fentanyl'], countries: ['CA', 'MX'], coveredContentOnly: true,
+        reason: 'Section 232 goods from Canada and Mexico are excluded from the fentanyl-related tariff' }
+    ]
+  },
+
+  // How a product reaches the shopper (see shipmentmode.js). `shipment` is
+  // the shipment type the country rules are matched against. Only goods
+  // sent straight to the shopper (`directImport`) can enter under de minimis.
+  shipmentModes: {
+    domestic: { label: 'Domestic stock', shipment: 'courier', directImport: false,
+                description: 'Shipped from a US warehouse, after being imported in bulk as a commercial entry' },
+    courier: { label: 'Cross-border courier', shipment: 'courier', directImport: true,
+               description: 'Sent from abroad straight to the shopper by express courier' },
+    postal: { label: 'Postal shipment', shipment: 'postal', directImport: true,
+              description: 'Sent from abroad straight to the shopper by international mail' }
+  },
+  // Most listings ship from Amazon's US warehouses, so a product whose page
+  // doesn't say how it ships is assumed to
+  defaultShipmentMode: 'domestic',
+
+  // Direct imports valued at or under the threshold enter duty free until
+  // the exemption ends, on its own date for the countries listed
+  deMinimis: {
+    threshold: 800,
+    effectiveTo: '2025-08-29',
+    countries: {
+      CN: { effectiveTo: '2025-05-02' }
+    }
+  }
+};
+
+/**
+ * Get the ISO code of a product's country of origin
+ * @param {Object} productData - Product data (countryCode and/or countryOfOrigin)
+ * @returns {string|null} - Alpha-2 code, or null when the country isn't recognized
+ */
+function getProductCountryCode(productData) {
+  return productData.countryCode || findCountryCode(productData.countryOfOrigin);
+}
+
+/**
+ * Find the schedule entry for a country of origin
+ * @param {string} countryCode - ISO 3166-1 alpha-2 code
+ * @returns {Object|null} - Schedule entry with its key, or null if the country is not listed
+ */
+function findScheduleCountry(countryCode) {
+  if (!countryCode) return null;
+
+  for (const [key, entry] of Object.entries(TARIFF_RATE_SCHEDULE.countries)) {
+    if (entry.isoCodes.includes(countryCode)) {
+      return { key, ...entry };
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Check whether a product falls within a named schedule scope
+ * @param {string} scopeName - Key into TARIFF_RATE_SCHEDULE.scopes
+ * @param {Object} productData - Product data (category and/or htsCode)
+ * @returns {boolean} - Whether the product is in scope
+ */
+function isInScheduleScope(scopeName, productData) {
+  const scope = TARIFF_RATE_SCHEDULE.scopes[scopeName];
+  if (!scope) return false;
+
+  const htsCode = (productData.htsCode || '').replace(/\./g, '');
+  if (htsCode && htsCode !== '9999') {
+    return scope.hts.some(prefix => htsCode.startsWith(prefix));
+  }
+
+  const category = (productData.category || '').toLowerCase();
+  return scope.keywords.some(keyword => category.includes(keyword));
+}
+
+/**
+ * Find the additional IEEPA surcharges in force for a product's country
+ * @param {Object} productData - Product data (countryOfOrigin)
+ * @param {Date} asOf - Date the surcharges must be in force on (defaults to today)
+ * @returns {Array<Object>} - Surcharges with their program and rate
+ */
+function getScheduledSurcharges(productData, asOf = new Date()) {
+  const entry = findScheduleCountry(getProductCountryCode(productData));
+  if (!entry || !entry.surcharges) return [];
+
+  return entry.surcharges.filter(surcharge => isRuleInForce(surcharge, asOf));
+}
+
+/**
+ * Find the Section 301 list that covers a product, if any
+ * @param {Object} productData - Product data (countryOfOrigin, htsCode)
+ * @param {Date} asOf - Date the list must be in force on (defaults to today)
+ * @returns {Object|null} - The list id, rate and matched HTS prefix, or null if not covered
+ */
+function lookupSection301(productData, asOf = new Date()) {
+  const { section301 } = TARIFF_RATE_SCHEDULE;
+  const country = findScheduleCountry(getProductCountryCode(productData));
+  if (!country || !section301.countries.includes(country.key)) return null;
+
+  const htsCode = (productData.htsCode || '').replace(/\./g, '');
+  if (!htsCode || htsCode === '9999') return null;
+
+  let match = null;
+  section301.lists.forEach(list => {
+    if (!isRuleInForce(list, asOf)) return;
+
+    list.hts.forEach(prefix => {
+      const digits = prefix.replace(/\./g, '');
+      if (htsCode.startsWith(digits) && (!match || digits.length > match.htsPrefix.replace(/\./g, '').length)) {
+        match = { list: list.id, rate: list.rate, htsPrefix: prefix };
+      }
+    });
+  });
+
+  return match;
+}
+
+/**
+ * Find the Section 232 program that covers a product, if any
+ * @param {Object} productData - Product data (htsCode, attributes.material)
+ * @param {Date} asOf - Date the duty must be in force on (defaults to today)
+ * @returns {Object|null} - The program, its rate and the share of the value it covers, or null if not covered
+ */
+function lookupSection232(productData, asOf = new Date()) {
+  const { programs, derivatives } = TARIFF_RATE_SCHEDULE.section232;
+  const htsCode = (productData.htsCode || '').replace(/\./g, '');
+  if (!htsCode || htsCode === '9999') return null;
+
+  const materials = (productData.attributes && productData.attributes.material) || [];
+  const findRate = program => program.rates.find(rate => isRuleInForce(rate, asOf));
+
+  // Primary articles: the whole value is covered
+  for (const program of programs) {
+    const htsPrefix = program.hts.find(prefix => htsCode.startsWith(prefix));
+    const inForce = findRate(program);
+    if (htsPrefix && inForce) {
+      return { program: program.id, label: program.label, rate: inForce.rate, htsPrefix,
+               isDerivative: false, coveredShare: 1 };
+    }
+  }
+
+  // Derivative articles: only the detected metal content is covered
+  const htsPrefix = derivatives.hts.find(prefix => htsCode.startsWith(prefix));
+  if (!htsPrefix) return null;
+
+  // Prefer the more specific material (aluminum) over the generic steel/metal match
+  const program = programs
+    .filter(candidate => candidate.materials.some(material => materials.includes(material)))
+    .sort((a, b) => a.materials.length - b.materials.length)[0];
+  const inForce = program && findRate(program);
+  if (!inForce) return null;
+
+  return { program: program.id, label: `${program.label} (derivative)`, rate: inForce.rate, htsPrefix,
+           isDerivative: true, coveredShare: derivatives.metalContentShare };
+}
+
+/**
+ * Decide how a product ships: the mode the user picked, the one read from
+ * the page by shipmentmode.js, or the schedule's default
+ * @param {Object} productData - Product data (shipmentMode, overrides)
+ * @returns {Object} - Shipment mode ({ id, label, shipment, directImport, description, source }),
+ *   source being 'override', 'detected' or 'default'
+ */
+function resolveShipmentMode(productData) {
+  const { shipmentModes, defaultShipmentMode } = TARIFF_RATE_SCHEDULE;
+  const id = shipmentModes[productData.shipmentMode] ? productData.shipmentMode : defaultShipmentMode;
+
+  let source = 'default';
+  if (id === productData.shipmentMode) {
+    source = productData.overrides && productData.overrides.shipmentMode ? 'override' : 'detected';
+  }
+
+  return { id, ...shipmentModes[id], source };
+}
+
+/**
+ * Find the de minimis exemption a shipment can enter under
+ * @param {string} countryKey - Schedule country key from lookupScheduledRate
+ * @param {Object} shipmentMode - Shipment mode from resolveShipmentMode
+ * @param {Date} asOf - Date the exemption must be in force on (defaults to today)
+ * @returns {Object|null} - Exemption ({ threshold }), or null when none applies
+ */
+function findDeMinimisExemption(countryKey, shipmentMode, asOf = new Date()) {
+  const { deMinimis } = TARIFF_RATE_SCHEDULE;
+  if (!shipmentMode.directImport) return null;
+
+  const rule = deMinimis.countries[countryKey] || deMinimis;
+  return isRuleInForce(rule, asOf) ? { threshold: deMinimis.threshold } : null;
+}
+
+/**
+ * Parse a schedule date ('YYYY-MM-DD') as local midnight
+ * @param {string} dateString - Schedule date
+ * @returns {Date} - Parsed date
+ */
+function parseScheduleDate(dateString) {
+  const [year, month, day] = dateString.split('-').map(Number);
+  return new Date(year, month - 1, day);
+}
+
+/**
+ * Format a schedule date for display, e.g. "June 1, 2025"
+ * @param {string|Date} date - Schedule date string or Date
+ * @returns {string} - Formatted date
+ */
+function formatScheduleDate(date) {
+  const parsed = typeof date === 'string' ? parseScheduleDate(date) : date;
+  return parsed.toLocaleDateString('en-US', { year: 'numeric', month: 'long', day: 'numeric' });
+}
+
+/**
+ * Check whether a schedule rule is in force on a given date
+ * @param {Object} rule - Schedule rule
+ * @param {Date} asOf - Date to check
+ * @returns {boolean} - Whether the rule is in force
+ */
+function isRuleInForce(rule, asOf) {
+  if (rule.effectiveFrom && asOf < parseScheduleDate(rule.effectiveFrom)) return false;
+  if (rule.effectiveTo && asOf >= parseScheduleDate(rule.effectiveTo)) return false;
+  return true;
+}
+
+/**
+ * Look up the scheduled tariff rule for a product
+ * @param {Object} productData - Product data (countryOfOrigin, category, htsCode)
+ * @param {string} shipmentType - 'postal' or 'courier'
+ * @param {Date} asOf - Date the rule must be in force on (defaults to today)
+ * @returns {Object} - The matching rule, plus the country key and display name
+ */
+function lookupScheduledRate(productData, shipmentType, asOf = new Date()) {
+  const countryCode = getProductCountryCode(productData);
+  const entry = findScheduleCountry(countryCode);
+  const noRule = { rate: 0, message: 'No tariff rule was in force on this date' };
+
+  if (!entry) {
+    // Names the table doesn't recognize still get the baseline rate, keyed on the name
+    const isUnknown = !countryCode && (!productData.countryOfOrigin ||
+                      productData.countryOfOrigin.toLowerCase() === 'unknown');
+    const baseRule = isUnknown ? TARIFF_RATE_SCHEDULE.unknownRule : TARIFF_RATE_SCHEDULE.defaultRule;
+    const rule = isRuleInForce(baseRule, asOf) ? baseRule : noRule;
+    const countryName = isUnknown ? 'Unknown' : (getCountryName(countryCode) || productData.countryOfOrigin);
+
+    return {
+      countryKey: isUnknown ? 'unknown' : (countryCode || countryName.toLowerCase()),
+      countryName,
+      rule: { ...rule, message: rule.message.replace('{country}', countryName) }
+    };
+  }
+
+  const rule = entry.rules.find(candidate => {
+    if (!isRuleInForce(candidate, asOf)) return false;
+    if (candidate.shipment && candidate.shipment !== shipmentType) return false;
+    if (candidate.scope && !isInScheduleScope(candidate.scope, productData)) return false;
+    return true;
+  }) || (isRuleInForce(TARIFF_RATE_SCHEDULE.defaultRule, asOf) ? TARIFF_RATE_SCHEDULE.defaultRule : noRule);
+
+  return {
+    countryKey: entry.key,
+    countryName: entry.name,
+    rule: { ...rule, message: rule.message.replace('{country}', entry.name) }
+  };
+}
+
+/**
+ * Find upcoming schedule changes that would affect a product after a date
+ * @param {Object} productData - Product data (countryOfOrigin, category, htsCode)
+ * @param {string} shipmentType - 'postal' or 'courier'
+ * @param {Date} asOf - Date to look forward from (defaults to today)
+ * @returns {Array<Object>} - Changes in date order, each with its date, the rule before and after, and a description
+ */
+function findScheduledChanges(productData, shipmentType, asOf = new Date()) {
+  const entry = findScheduleCountry(getProductCountryCode(productData));
+  const rules = [
+    ...(entry ? entry.rules : []),
+    TARIFF_RATE_SCHEDULE.defaultRule,
+    TARIFF_RATE_SCHEDULE.unknownRule
+  ];
+
+  // Every date on which some rule starts or stops applying
+  const boundaries = new Set();
+  rules.forEach(rule => {
+    if (rule.effectiveFrom) boundaries.add(rule.effectiveFrom);
+    if (rule.effectiveTo) boundaries.add(rule.effectiveTo);
+  });
+
+  const changes = [];
+  let current = lookupScheduledRate(productData, shipmentType, asOf).rule;
+
+  Array.from(boundaries)
+    .filter(date => parseScheduleDate(date) > asOf)
+    .sort()
+    .forEach(date => {
+      const next = lookupScheduledRate(productData, shipmentType, parseScheduleDate(date)).rule;
+      if (next.rate !== current.rate || (next.flatFee || 0) !== (current.flatFee || 0)) {
+        changes.push({
+          date,
+          from: current,
+          to: next,
+          description: describeRateChange(current, next, date)
+        });
+      }
+      current = next;
+    });
+
+  return changes;
+}
+
+/**
+ * Describe a change between two schedule rules in plain words
+ * @param {Object} fromRule - Rule in force before the change
+ * @param {Object} toRule - Rule in force after the change
+ * @param {string} date - Schedule date of the change
+ * @returns {string} - Description of the change
+ */
+function describeRateChange(fromRule, toRule, date) {
+  const parts = [];
+  const fromFee = fromRule.flatFee || 0;
+  const toFee = toRule.flatFee || 0;
+
+  if (toRule.rate !== fromRule.rate) {
+    const direction = toRule.rate > fromRule.rate ? 'rises' : 'falls';
+    parts.push(`the tariff rate ${direction} from ${(fromRule.rate * 100).toFixed(0)}% to ${(toRule.rate * 100).toFixed(0)}%`);
+  }
+  if (toFee !== fromFee) {
+    const direction = toFee > fromFee ? 'rises' : 'falls';
+    parts.push(`the flat fee ${direction} from $${fromFee} to $${toFee}`);
+  }
+
+  return `On ${formatScheduleDate(date)}, ${parts.join(' and ')}.`;
+}
+
+/**
+ * Direct tariff calculation from the rate schedule, shared by the content
+ * script, the popup-injected script and the tariff API fallback. The duties
+ * are composed by the stacking engine in tariffstack.js.
+ * @param {Object} productData - Product data (price, countryOfOrigin, category, htsCode)
+ * @param {Date} asOf - Date to calculate the rate for (defaults to today)
+ * @returns {Object} - Tariff information
+ */
+function fallbackCalculation(productData, asOf = new Date()) {
+  console.log('Using direct tariff calculation');
+
+  const stack = composeTariffStack(productData, asOf);
+
+  return {
+    ...stack,
+    isFallback: true,
+    asOf: asOf.toISOString(),
+    scheduledChanges: findScheduledChanges(productData, resolveShipmentMode(productData).shipment, asOf)
+  };
+}
@@ -0,0 +1,175 @@
+/**
+ * Amazon Tariff Checker
+ * Copyright (c) 2025 Dual Lens (https://duallens.substack.com)
+ * This code is licensed under the MIT License.
+ * For the full license text, see the LICENSE file in the project repository
+ * or visit: https://opensource.org/licenses/MIT
+ * DISCLAIMER: This extension is not affiliated with Amazon.com. It only processes
+ * information visible on the current page and does not collect or transmit user data.
+ * All analysis occurs locally within the browser.
+ */
+
+// searchresults.js - Content script for search results and browse pages.
+// Adds a small estimated-tariff badge to each result tile from what the tile
+// itself shows: the title, the price, any "Made in" or "Ships from" text and
+// the delivery date, which tells stock in the US from orders sent from abroad.
+// When the tile doesn't say where the product comes from, the badge shows
+// "?" and clicking it opens the product page, where the full check runs.
+// The badges themselves come from tariffbadge.js.
+
+// Result tiles on search and browse pages
+var RESULT_TILE_SELECTOR = '[data-component-type="s-search-result"][data-asin], .s-result-item[data-asin]';
+
+// Marks a tile that already has (or is getting) a badge
+var BADGE_ATTRIBUTE = 'data-tariff-badge';
+
+// Estimates already made on this page, by ASIN, so tiles drawn again by
+// infinite scroll or filters don't ask the tariff engine twice
+var searchResultEstimates = new Map();
+
+// Tiles waiting for a badge, handled one at a time
+var badgeQueue = [];
+var badgeQueueRunning = false;
+
+/**
+ * Find the country a result tile says its product comes from
+ * @param {string} text - Tile text
+ * @returns {Object|null} - Origin ({ country, basis }), or null when the tile doesn't say
+ */
+function findTileOrigin(text) {
+  const [stated] = findOriginPhrases(text);
+  if (stated) return { country: stated.country, basis: stated.excerpt };
+
+  const shipsFrom = text.match(/ships from\s+(?:the\s+)?([^|\u2022\u00b7]{2,40})/i);
+  const country = shipsFrom ? findCountryName(shipsFrom[1]) : null;
+  if (country) return { country, basis: shortenOriginExcerpt(shipsFrom[0]) };
+
+  return null;
+}
+
+/**
+ * Read the product data a result tile shows
+ * @param {Element} tile - Result tile
+ * @returns {Object|null} - Product data ({ asin, productTitle, price, countryOfOrigin, originBasis,
+ *   shipmentMode, productUrl }), or null for ads and placeholders
+ */
+function readResultTile(tile) {
+  const asin = (tile.getAttribute('data-asin') || '').toUpperCase();
+  const titleElement = tile.querySelector('h2, [data-cy="title-recipe"]');
+  if (!/^[A-Z0-9]{10}$/.test(asin) || !titleElement) return null;
+
+  const priceElement = tile.querySelector('.a-price:not(.a-text-price)');
+  const price = priceElement ? readPriceElement(priceElement) : null;
+  const link = tile.querySelector('h2 a[href], a.a-link-normal[href*="/dp/"]');
+  const text = cleanOriginText(tile.textContent);
+  const origin = findTileOrigin(text);
+  const delivery = tile.querySelector('[data-cy="delivery-recipe"]');
+  const shipsFrom = text.match(/ships from\s+(?:the\s+)?([^|\u2022\u00b7]{2,40})/i);
+  const shipment = classifyShipmentMode({
+    shipsFrom: shipsFrom ? shipsFrom[1] : '',
+    deliveryText: delivery ? cleanOriginText(delivery.textContent) : ''
+  });
+
+  return {
+    asin,
+    productTitle: cleanOriginText(titleElement.textContent),
+    price: price || 0,
+    countryOfOrigin: origin ? origin.country : 'Unknown',
+    originBasis: origin ? origin.basis : null,
+    category: '',
+    shipmentMode: shipment ? shipment.mode : null,
+    productUrl: link ? link.href : `${window.location.origin}/dp/${asin}`
+  };
+}
+
+/**
+ * Put a badge under the tile's price, or under its title when there is no price
+ * @param {Element} tile - Result tile
+ * @param {HTMLElement} badge - Badge element
+ */
+function placeTariffBadge(tile, badge) {
+  const existing = tile.querySelector('.tariff-checker-badge');
+  if (existing) existing.remove();
+
+  const anchor = tile.querySelector('.a-price:not(.a-text-price)') || tile.querySelector('h2, [data-cy="title-recipe"]');
+  const row = anchor.closest('.a-row') || anchor.parentElement;
+  const container = document.createElement('div');
+  container.appendChild(badge);
+  row.insertAdjacentElement('afterend', container);
+}
+
+/**
+ * Estimate the tariff for one tile and add its badge
+ * @param {Element} tile - Result tile
+ * @returns {Promise<void>}
+ */
+async function addTariffBadge(tile) {
+  const tileData = readResultTile(tile);
+  if (!tileData) return;
+
+  // Corrections saved on the product page apply here too
+  const productData = await loadProductOverrides(tileData);
+  if (!productData.countryOfOrigin || productData.countryOfOrigin === 'Unknown') {
+    placeTariffBadge(tile, createUnknownOriginBadge(productData));
+    return;
+  }
+
+  const estimateKey = `${productData.asin}|${productData.countryOfOrigin}|${productData.price}|${productData.htsCode || ''}|${productData.shipmentMode || ''}`;
+  let tariffData = searchResultEstimates.get(estimateKey);
+  if (!tariffData) {
+    tariffData = await requestTariffInfo(productData);
+    searchResultEstimates.set(estimateKey, tariffData);
+  }
+  placeTariffBadge(tile, createTariffBadge(productData, tariffData));
+}
+
+/**
+ * Work through the tiles waiting for a badge, one at a time so a page of
+ * results doesn't flood the tariff engine
+ * @returns {Promise<void>}
+ */
+async function runBadgeQueue() {
+  if (badgeQueueRunning) return;
+  badgeQueueRunning = true;
+
+  while (badgeQueue.length > 0) {
+    const tile = badgeQueue.shift();
+    try {
+      await addTariffBadge(tile);
+    } catch (error) {
+      console.error('Error adding tariff badge:', error);
+    }
+  }
+
+  badgeQueueRunning = false;
+}
+
+/**
+ * Queue every result tile that doesn't have a badge yet
+ */
+function badgeNewResults() {
+  const tiles = Array.from(document.querySelectorAll(RESULT_TILE_SELECTOR))
+    .filter(tile => !tile.hasAttribute(BADGE_ATTRIBUTE));
+  if (tiles.length === 0) return;
+
+  console.log(`Adding tariff badges to ${tiles.length} results`);
+  tiles.forEach(tile => {
+    tile.setAttribute(BADGE_ATTRIBUTE, 'pending');
+    badgeQueue.push(tile);
+  });
+  runBadgeQueue();
+}
+
+// Badge the results on the page now, and those that appear later through
+// infinite scroll, filters or the next page
+badgeNewResults();
+var searchResultsObserverTimer = null;
+new MutationObserver(() => {
+  if (searchResultsObserverTimer) return;
+  searchResultsObserverTimer = setTimeout(() => {
+    searchResultsObserverTimer = null;
+    badgeNewResults();
+  }, 500);
+}).observe(document.body, { childList: true, subtree: true });
+
+console.log('Search results script loaded');
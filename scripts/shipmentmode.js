@@ -0,0 +1,180 @@
+/**
+ * Amazon Tariff Checker
+ * Copyright (c) 2025 Dual Lens (https://duallens.substack.com)
+ * This code is licensed under the MIT License.
+ * For the full license text, see the LICENSE file in the project repository
+ * or visit: https://opensource.org/licenses/MIT
+ * DISCLAIMER: This extension is not affiliated with Amazon.com. It only processes
+ * information visible on the current page and does not collect or transmit user data.
+ * All analysis occurs locally within the browser.
+ */
+
+// shipmentmode.js - Works out how a product reaches the shopper from what the
+// buy box says: who it ships from, who sells it and when it arrives. Stock in
+// Amazon's US warehouses ('domestic') was imported in bulk before it was
+// listed; a seller abroad sends each order across the border by courier
+// ('courier') or by mail ('postal'). The rate schedule (rateschedule.js)
+// decides which duties, flat fees and de minimis rules each mode pays.
+
+// Buy-box elements holding each piece of shipping information, current layouts first
+var SHIPMENT_INFO_SELECTORS = {
+  shipsFrom: [
+    '#fulfillerInfoFeature_feature_div .offer-display-feature-text',
+    '.tabular-buybox-text[tabular-attribute-name="Ships from"]'
+  ],
+  soldBy: [
+    '#merchantInfoFeature_feature_div .offer-display-feature-text',
+    '.tabular-buybox-text[tabular-attribute-name="Sold by"]'
+  ],
+  // Older layouts say both in one sentence, e.g. "Ships from and sold by Amazon.com."
+  merchantInfo: [
+    '#merchant-info',
+    '#merchantInfo'
+  ],
+  delivery: [
+    '#mir-layout-DELIVERY_BLOCK',
+    '#deliveryBlockMessage',
+    '#ddmDeliveryMessage',
+    '#delivery-message'
+  ]
+};
+
+// Deliveries arriving within this many days come from stock in the US, and
+// those taking at least POSTAL_MIN_DELIVERY_DAYS travel by mail
+var DOMESTIC_MAX_DELIVERY_DAYS = 7;
+var POSTAL_MIN_DELIVERY_DAYS = 15;
+
+// Cross-border carriers named in delivery messages. US carriers aren't
+// listed, since sellers in the US use them too.
+var POSTAL_CARRIER_PATTERN = /\b(?:china post|hongkong post|epacket|yanwen|yunexpress|cainiao)\b/i;
+var COURIER_CARRIER_PATTERN = /\b(?:dhl|amazon global|international shipping)\b/i;
+
+/**
+ * Read the text of the first element matching one of the selectors
+ * @param {Array<string>} selectors - Selectors, most reliable first
+ * @returns {string} - Cleaned text, or an empty string when the page shows none
+ */
+function readShipmentInfo(selectors) {
+  for (const selector of selectors) {
+    const element = document.querySelector(selector);
+    const text = element ? cleanOriginText(element.textContent) : '';
+    if (text) return text;
+  }
+  return '';
+}
+
+/**
+ * Work out how many days from today the latest delivery date in a delivery
+ * message is, e.g. 14 for "Arrives: Jun 10 - 28" read on June 14
+ * @param {string} text - Delivery message
+ * @param {Date} today - Date the message was read (defaults to now)
+ * @returns {number|null} - Days until delivery, or null when the message has no date
+ */
+function parseDeliveryDays(text, today = new Date()) {
+  const months = ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'];
+  const start = new Date(today.getFullYear(), today.getMonth(), today.getDate());
+  const pattern = /(jan|feb|mar|apr|may|jun|jul|aug|sep|oct|nov|dec)[a-z]*\.?\s+(\d{1,2})(?:\s*[-\u2013]\s*(\d{1,2})(?!\d))?/gi;
+  let latest = null;
+  let match;
+
+  while ((match = pattern.exec(text || '')) !== null) {
+    const month = months.indexOf(match[1].toLowerCase());
+    const date = new Date(start.getFullYear(), month, parseInt(match[3] || match[2], 10));
+    // A date long past is in the new year, e.g. "Jan 3" read in December
+    if (start - date > 60 * 24 * 60 * 60 * 1000) date.setFullYear(date.getFullYear() + 1);
+    if (!latest || date > latest) latest = date;
+  }
+
+  if (latest) return Math.max(0, Math.round((latest - start) / (24 * 60 * 60 * 1000)));
+  if (/\b(?:today|overnight)\b/i.test(text || '')) return 0;
+  if (/\btomorrow\b/i.test(text || '')) return 1;
+  return null;
+}
+
+/**
+ * Classify how a product ships from its buy-box information
+ * @param {Object} info - Buy-box text ({ shipsFrom, soldBy, deliveryText })
+ * @param {Date} today - Date the page was read (defaults to now)
+ * @returns {Object|null} - Decision ({ mode, basis, reason, deliveryDays }), or null when nothing says
+ */
+function classifyShipmentMode(info, today = new Date()) {
+  const shipsFrom = info.shipsFrom || '';
+  const soldBy = info.soldBy || '';
+  const deliveryText = info.deliveryText || '';
+  const deliveryDays = parseDeliveryDays(deliveryText, today);
+  const arrives = deliveryDays === null ? '' : `, arriving in ${deliveryDays} day${deliveryDays === 1 ? '' : 's'}`;
+  const decide = (mode, basis, reason) => ({ mode, basis: shortenOriginExcerpt(basis), reason, deliveryDays });
+
+  // Amazon only ships from its own warehouses, whoever sells the product
+  if (/amazon/i.test(shipsFrom) || (!shipsFrom && /amazon/i.test(soldBy)) || /fulfilled by amazon/i.test(soldBy)) {
+    return decide('domestic', `Ships from ${shipsFrom || 'Amazon'}${arrives}`,
+                  'Amazon ships it from a US warehouse, so it was imported in bulk before it was sold');
+  }
+
+  const carrierText = `${shipsFrom} ${deliveryText}`;
+  if (POSTAL_CARRIER_PATTERN.test(carrierText)) {
+    return decide('postal', `${shipsFrom ? `Ships from ${shipsFrom}` : 'Delivery'} by ${carrierText.match(POSTAL_CARRIER_PATTERN)[0]}${arrives}`,
+                  'The delivery message names a postal carrier');
+  }
+
+  // A seller abroad sends each order across the border
+  const countryCode = shipsFrom ? findCountryCode(shipsFrom) : null;
+  if (countryCode && countryCode !== 'US') {
+    const isPostal = deliveryDays !== null && deliveryDays >= POSTAL_MIN_DELIVERY_DAYS;
+    return decide(isPostal ? 'postal' : 'courier', `Ships from ${shipsFrom}${arrives}`,
+                  isPostal ? 'It ships from abroad and takes weeks to arrive, which is typical of mail'
+                           : 'It ships from abroad straight to the shopper');
+  }
+  if (countryCode === 'US') {
+    return decide('domestic', `Ships from ${shipsFrom}${arrives}`, 'It ships from within the US');
+  }
+
+  if (COURIER_CARRIER_PATTERN.test(carrierText)) {
+    return decide('courier', `${shipsFrom ? `Ships from ${shipsFrom}` : 'Delivery'} by ${carrierText.match(COURIER_CARRIER_PATTERN)[0]}${arrives}`,
+                  'The delivery message names an international courier');
+  }
+
+  // The seller ships it and the page doesn't say from where, so the wait decides
+  if (deliveryDays === null) return null;
+  const seller = shipsFrom || soldBy;
+  const basis = seller ? `Ships from ${seller}${arrives}` : `Delivery${arrives}`;
+  if (deliveryDays >= POSTAL_MIN_DELIVERY_DAYS) {
+    return decide('postal', basis, 'It takes weeks to arrive, which is typical of mail from abroad');
+  }
+  if (deliveryDays > DOMESTIC_MAX_DELIVERY_DAYS) {
+    return decide('courier', basis, 'It takes more than a week to arrive, which is typical of a courier from abroad');
+  }
+  return decide('domestic', basis, 'It arrives within a week, so it ships from stock in the US');
+}
+
+/**
+ * Read the buy box of the current product page and classify how the product ships
+ * @returns {Object|null} - Decision from classifyShipmentMode, or null when the page doesn't say
+ */
+function extractShipmentMode() {
+  try {
+    let shipsFrom = readShipmentInfo(SHIPMENT_INFO_SELECTORS.shipsFrom);
+    let soldBy = readShipmentInfo(SHIPMENT_INFO_SELECTORS.soldBy);
+
+    const merchantInfo = readShipmentInfo(SHIPMENT_INFO_SELECTORS.merchantInfo);
+    if (merchantInfo && !shipsFrom) {
+      const shipped = merchantInfo.match(/ships from(?: and sold by)?\s+(.+?)(?:\.\s|\.$|\s+and\s|$)/i);
+      if (shipped) shipsFrom = shipped[1];
+    }
+    if (merchantInfo && !soldBy) {
+      const sold = merchantInfo.match(/sold by\s+(.+?)(?:\.\s|\.$|\s+and\s|$)/i);
+      if (sold) soldBy = /fulfilled by amazon/i.test(merchantInfo) ? `${sold[1]}, Fulfilled by Amazon` : sold[1];
+    }
+
+    const decision = classifyShipmentMode({
+      shipsFrom,
+      soldBy,
+      deliveryText: readShipmentInfo(SHIPMENT_INFO_SELECTORS.delivery)
+    });
+    console.log('Shipment mode:', decision ? `${decision.mode} (${decision.basis})` : 'not shown on the page');
+    return decision;
+  } catch (error) {
+    console.error('Error reading the shipment mode:', error);
+    return null;
+  }
+}
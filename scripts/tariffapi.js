@@ -12,57 +12,61 @@
 /**
  * Tariff API Connector
  * 
- * This file handles the connection to public tariff data APIs
- * to get up-to-date tariff information using the USITC HTS API.
+ * This file works out the tariff information for a product from public
+ * tariff data, using an offline copy of the USITC Harmonized Tariff Schedule.
+ * Countries are resolved to ISO codes by countries.js, country rates are read
+ * from the shared schedule in rateschedule.js and composed by the stacking
+ * engine in tariffstack.js, base rates come from the bundled HTS dataset in
+ * htsdata.js, products are classified by htsclassifier.js, customs values
+ * are estimated by customsvalue.js, and lookups are cached by tariffcache.js.
+ * All seven must be loaded before this file.
  */
 
-// Cache for tariff data to avoid unnecessary API calls
-const tariffCache = {
-  data: {},
-  timestamp: 0,
-  CACHE_DURATION: 24 * 60 * 60 * 1000 // 24 hours in milliseconds
-};
-
 /**
  * Get tariff information for a product
  * @param {Object} productData - Data about the product
+ * @param {Date} asOf - Date to calculate the rate for (defaults to today)
  * @returns {Promise<Object>} - Tariff information
  */
-async function getTariffInfo(productData) {
+async function getTariffInfo(productData, asOf = new Date()) {
   try {
     // Extract all product data we can find
     const enrichedData = await enrichProductData(productData);
+    enrichedData.asOf = asOf;
 
     // Construct a more precise cache key based on multiple product attributes
     const cacheKey = constructCacheKey(enrichedData);
     
-    // Check cache before making API requests
-    if (hasCachedTariffData(cacheKey)) {
-      return getCachedTariffData(cacheKey, enrichedData.price);
+    // Check cache before looking up the HTS dataset
+    let tariffData = await getCachedTariffData(cacheKey);
+    if (!tariffData) {
+      // Look up tariff data in the HTS dataset
+      tariffData = await fetchTariffData(enrichedData);
+      
+      // Cache the result
+      await cacheTariffData(cacheKey, tariffData);
     }
     
-    // Get tariff data from the USITC HTS API
-    const tariffData = await fetchTariffData(enrichedData);
-    
-    // Cache the result
-    cacheTariffData(cacheKey, tariffData);
-    
-    // Calculate the tariff amount based on the product price
-    const tariffAmount = enrichedData.price * tariffData.rate;
-    
+    // Calculate the itemized tariff amounts based on the product price
     return {
-      isSubjectToTariff: tariffData.rate > 0,
-      tariffAmount: tariffAmount,
-      tariffRate: tariffData.rate,
-      message: tariffData.message,
+      ...finalizeTariffStack(tariffData, enrichedData.price,
+                             estimateCustomsValue(enrichedData, tariffData.htsCode || enrichedData.htsCode)),
       htsCode: tariffData.htsCode || enrichedData.htsCode,
+      htsDescription: tariffData.htsDescription,
+      classification: enrichedData.classification || null,
+      mfnRateText: tariffData.mfnRateText,
+      specificDuty: tariffData.specificDuty,
+      isApproximateBaseRate: tariffData.isApproximateBaseRate,
+      isSampleHTSRate: tariffData.isSampleHTSRate,
+      isHTSDatasetSubset: tariffData.isHTSDatasetSubset,
       countryOfOrigin: enrichedData.countryOfOrigin,
-      productDetails: tariffData.productDetails || {}
+      asOf: asOf.toISOString(),
+      scheduledChanges: findScheduledChanges(enrichedData, resolveShipmentMode(enrichedData).shipment, asOf)
     };
   } catch (error) {
     console.error('Error getting tariff information:', error);
     // Fallback to basic country-based tariff check if API fails
-    return fallbackTariffCheck(productData);
+    return fallbackTariffCheck(productData, asOf);
   }
 }
 
@@ -72,14 +76,13 @@ async function getTariffInfo(productData) {
  * @returns {Promise<Object>} - Enriched product data
  */
 async function enrichProductData(productData) {
-  const enriched = {...productData};
-  
-  // Normalize country of origin
-  enriched.countryOfOrigin = normalizeCountryName(productData.countryOfOrigin);
+  // Resolve the country of origin to its ISO code and display name
+  const enriched = normalizeCountryOfOrigin(productData);
   
-  // Try to determine the HTS code
+  // Try to determine the HTS code, unless the user picked one
   if (!enriched.htsCode) {
-    enriched.htsCode = await determineHTSCode(productData);
+    enriched.classification = await describeClassification(await classifyProduct(productData));
+    enriched.htsCode = enriched.classification.htsCode;
   }
   
   // Extract additional product attributes that might affect tariff rates
@@ -149,10 +152,26 @@ function extractProductAttributes(productData) {
  */
 function constructCacheKey(productData) {
   const parts = [
-    productData.countryOfOrigin || 'unknown',
+    productData.countryCode || (productData.countryOfOrigin || 'unknown').toLowerCase(),
     productData.htsCode || 'unknown'
   ];
   
+  // Rates depend on the date, so entries never carry across a schedule change
+  if (productData.asOf) {
+    parts.push(productData.asOf.toISOString().substring(0, 10));
+  }
+  
+  // Each shipment mode pays its own duties
+  parts.push(resolveShipmentMode(productData).id);
+  
+  // Without an HTS code the schedule's scopes (e.g. the food and energy
+  // carve-outs) are matched on the category, so products from the same
+  // country can still get different rates
+  const scopes = Object.keys(TARIFF_RATE_SCHEDULE.scopes).filter(scope => isInScheduleScope(scope, productData));
+  if (scopes.length > 0) {
+    parts.push('scope:' + scopes.join('-'));
+  }
+  
   // Add specific attributes that might affect tariff rates
   if (productData.attributes) {
     if (productData.attributes.material && productData.attributes.material.length > 0) {
@@ -175,34 +194,79 @@ function constructCacheKey(productData) {
   return parts.join('-');
 }
 
+// Classifications below this confidence are flagged in the modal
+var LOW_CLASSIFICATION_CONFIDENCE = 0.6;
+
+// Category evidence that doesn't point anywhere in particular, which keeps a
+// single partial category match from looking certain
+var CLASSIFICATION_PRIOR = 1;
+
 /**
- * Determine the HTS code for a product
+ * Classify a product into ranked HTS code candidates. The bundled text
+ * classifier (htsclassifier.js) reads the title, category and description;
+ * the Amazon category map is only used when the classifier can't help.
  * @param {Object} productData - Product data
- * @returns {Promise<string>} - HTS code
+ * @returns {Promise<Object>} - Classification ({ htsCode, confidence, isLowConfidence, candidates })
  */
-async function determineHTSCode(productData) {
+async function classifyProduct(productData) {
+  let candidates = [];
+  
   try {
-    // First try category mapping
-    const basicCode = getCategoryHTSCode(productData.category);
-    if (basicCode !== '9999') {
-      return basicCode;
-    }
-    
-    // If category mapping fails, try keyword analysis
-    return getHTSCodeFromKeywords(productData);
+    candidates = await classifyWithHTSModel(productData);
   } catch (error) {
-    console.error('Error determining HTS code:', error);
-    return '9999'; // Default unknown category
+    console.error('Error running the HTS classifier:', error);
+  }
+  
+  // None of the words are in the model, the product matches none of its
+  // codes well enough, or the model didn't load
+  if (candidates.length === 0) {
+    const matches = getCategoryHTSCandidates(productData.category);
+    const totalScore = matches.reduce((total, match) => total + match.score, CLASSIFICATION_PRIOR);
+    candidates = matches
+      .map(match => ({ htsCode: match.htsCode, confidence: match.score / totalScore, evidence: [match.evidence] }))
+      .sort((a, b) => b.confidence - a.confidence || b.htsCode.length - a.htsCode.length);
+  }
+  
+  if (candidates.length === 0) {
+    return { htsCode: '9999', confidence: 0, isLowConfidence: true, candidates: [] }; // Default unknown category
   }
+  
+  return {
+    htsCode: candidates[0].htsCode,
+    confidence: candidates[0].confidence,
+    isLowConfidence: candidates[0].confidence < LOW_CLASSIFICATION_CONFIDENCE,
+    candidates
+  };
+}
+
+/**
+ * Add the HTS dataset's descriptions to the top classification candidates
+ * @param {Object} classification - Result of classifyProduct
+ * @returns {Promise<Object>} - Classification with candidate descriptions
+ */
+async function describeClassification(classification) {
+  const candidates = await Promise.all(classification.candidates.map(async (candidate, index) => {
+    if (index >= 3) return candidate;
+    
+    try {
+      const htsInfo = await lookupHTSCode(candidate.htsCode);
+      return { ...candidate, description: htsInfo && htsInfo.description ? shortenHTSDescription(htsInfo.description) : null };
+    } catch (error) {
+      console.error('Error describing HTS candidate:', error);
+      return candidate;
+    }
+  }));
+  
+  return { ...classification, candidates };
 }
 
 /**
- * Get an HTS code based on Amazon category
+ * Find HTS codes matching the Amazon category
  * @param {string} category - Amazon category
- * @returns {string} - HTS code (at least the chapter)
+ * @returns {Array<Object>} - Matches ({ htsCode, score, evidence })
  */
-function getCategoryHTSCode(category) {
-  if (!category) return '9999';
+function getCategoryHTSCandidates(category) {
+  if (!category) return [];
   
   const normalized = category.toLowerCase().trim();
   
@@ -211,17 +275,17 @@ function getCategoryHTSCode(category) {
   const categoryMap = {
     // Electronics
     'electronics': '85',
-    'headphones': '8518.30',
+    'headphones': '8518.30.20',
     'computers': '8471',
-    'laptops': '8471.30',
-    'tablets': '8471.30',
-    'cell phones': '8517.12',
-    'smartphone': '8517.12',
-    'tvs': '8528.72',
-    'television': '8528.72',
-    'monitors': '8528.52',
-    'printers': '8443.31',
-    'cameras': '8525.80',
+    'laptops': '8471.30.01',
+    'tablets': '8471.30.01',
+    'cell phones': '8517.13.00',
+    'smartphone': '8517.13.00',
+    'tvs': '8528.72.64',
+    'television': '8528.72.64',
+    'monitors': '8528.52.00',
+    'printers': '8443.31.00',
+    'cameras': '8525.89.30',
     
     // Apparel
     'clothing': '61',
@@ -267,220 +331,62 @@ function getCategoryHTSCode(category) {
     'tea': '0902'
   };
   
-  // Try to find an exact match
+  // An exact match is strong evidence
   if (categoryMap[normalized]) {
-    return categoryMap[normalized];
-  }
-  
-  // Try to find a partial match
-  for (const [key, value] of Object.entries(categoryMap)) {
-    if (normalized.includes(key)) {
-      return value;
-    }
-  }
-  
-  // If we can't find a match, return a default code
-  return '9999';
-}
-
-/**
- * Analyze product title and description to determine HTS code
- * @param {Object} productData - Product data
- * @returns {string} - HTS code
- */
-function getHTSCodeFromKeywords(productData) {
-  const title = productData.productTitle || '';
-  const description = productData.description || '';
-  const combinedText = title + ' ' + description;
-  
-  // Common product types and their associated HTS codes
-  const keywordMap = {
-    // Electronics
-    'phone|smartphone|mobile phone': '8517.12',
-    'laptop|notebook computer': '8471.30',
-    'desktop computer|pc tower': '8471.41',
-    'tablet|ipad': '8471.30',
-    'tv|television|smart tv': '8528.72',
-    'monitor|computer screen': '8528.52',
-    'earbuds|headphones|earphones': '8518.30',
-    'speaker|audio speaker': '8518.22',
-    'camera|digital camera': '8525.80',
-    'battery|rechargeable': '8507',
-    'charger|power adapter': '8504.40',
-    'cable|usb cable': '8544.42',
-    'printer|scanner': '8443.31',
-    
-    // Apparel
-    'shirt|tshirt|top': '6109',
-    'pants|trousers|jeans': '6203',
-    'shorts': '6204',
-    'dress|gown': '6204',
-    'jacket|coat': '6201',
-    'sweater|pullover': '6110',
-    'underwear|briefs': '6107',
-    'socks': '6115',
-    'shoes|footwear': '6404',
-    'boots': '6403',
-    'hat|cap': '6505',
-    'gloves': '6116',
-    'scarf': '6117',
-    
-    // Home goods
-    'chair|stool': '9401',
-    'table|desk': '9403',
-    'bed|mattress': '9404',
-    'sofa|couch': '9401.61',
-    'lamp|lighting': '9405',
-    'curtain|drapes': '6303',
-    'rug|carpet': '5705',
-    'blanket|throw': '6301',
-    'towel': '6302',
-    'plates|dishes': '6911',
-    'cookware|pots|pans': '7323',
-    'utensils|flatware': '8215',
-    'knife|knives': '8211',
-    
-    // Coffee related items
-    'coffee maker|coffee machine|coffee brewer': '8516.71',
-    'coffee grinder': '8509.40',
-    'coffee dripper|pour over|drip coffee': '7323.93',
-    'coffee filter': '4823.20',
-    'coffee server|coffee carafe': '7013.37',
-    
-    // Miscellaneous
-    'toy|action figure': '9503',
-    'game|board game': '9504',
-    'book|novel': '4901',
-    'backpack|bag': '4202',
-    'watch|wristwatch': '9102',
-    'jewelry|necklace': '7113',
-    'wallet|purse': '4202',
-    'sunglasses': '9004',
-    'umbrella': '6601',
-    'pen|pencil': '9608',
-    'paper|notebook': '4820',
-    'tool|hammer|screwdriver': '8205',
-    'pet|dog|cat': '4201'
-  };
-  
-  // Check each keyword pattern against the combined text
-  for (const [keywordPattern, htsCode] of Object.entries(keywordMap)) {
-    const keywordRegex = new RegExp(`\\b(${keywordPattern})\\b`, 'i');
-    if (keywordRegex.test(combinedText)) {
-      return htsCode;
-    }
+    return [{ htsCode: categoryMap[normalized], score: 3, evidence: `Amazon category "${category}"` }];
   }
   
-  // Default code if no matches found
-  return '9999';
-}
-
-/**
- * Normalize a country name to match what the API expects
- * @param {string} countryName - Raw country name from the product page
- * @returns {string} - Normalized country name
- */
-function normalizeCountryName(countryName) {
-  if (!countryName) return '';
-  
-  const normalized = countryName.toLowerCase().trim();
-  
-  // Map of common alternative names to standardized names
-  const countryMap = {
-    'cn': 'china',
-    'prc': 'china',
-    'people\'s republic of china': 'china',
-    'usa': 'united states',
-    'us': 'united states',
-    'u.s.': 'united states',
-    'u.s.a.': 'united states',
-    'america': 'united states',
-    'uk': 'united kingdom',
-    'great britain': 'united kingdom',
-    'deutschland': 'germany',
-    'vn': 'vietnam',
-    'kr': 'south korea',
-    'dprk': 'north korea',
-    'roc': 'taiwan',
-    'taipei': 'taiwan',
-    'mx': 'mexico',
-    'ca': 'canada',
-    'jp': 'japan',
-    'sk': 'south korea',
-    'republic of korea': 'south korea',
-    'my': 'malaysia',
-    'th': 'thailand',
-    'id': 'indonesia',
-    'in': 'india',
-    'br': 'brazil',
-    'de': 'germany',
-    'fr': 'france',
-    'it': 'italy',
-    'es': 'spain',
-    'se': 'sweden',
-    'pl': 'poland',
-    'tr': 'turkey',
-    'turkiye': 'turkey',
-    'ru': 'russia',
-    'russian federation': 'russia',
-    'viet nam': 'vietnam'
-  };
-  
-  return countryMap[normalized] || normalized;
+  // Partial matches are weaker, e.g. "Kitchen & Dining" containing "kitchen"
+  return Object.entries(categoryMap)
+    .filter(([key]) => normalized.includes(key))
+    .map(([key, value]) => ({ htsCode: value, score: 2, evidence: `Amazon category "${category}" mentions "${key}"` }));
 }
 
 /**
- * Fetch tariff data from the USITC HTS API
+ * Look up tariff data in the bundled copy of the USITC HTS (htsdata.js)
  * @param {Object} productData - Product data including country and HTS code
  * @returns {Promise<Object>} - Tariff data
  */
 async function fetchTariffData(productData) {
+  let htsInfo = null;
+  let dataset = null;
   try {
-    // For demonstration purposes, we're simulating the API response
-    // This would be replaced with a real API call in production
-    // The USITC provides an API through https://hts.usitc.gov/ or data.gov
-    
-    // In a real implementation, the API call might look something like this:
-    /*
-    const url = `https://api.usitc.gov/tariff/v1/hts/${productData.htsCode}?country=${productData.countryOfOrigin}`;
-    const response = await fetch(url, {
-      headers: {
-        'Accept': 'application/json'
-      }
-    });
-    const data = await response.json();
-    return processApiResponse(data, productData);
-    */
-    
-    // Simulated API call with delay
-    return new Promise(resolve => {
-      setTimeout(() => {
-        // Get base tariff rate for the HTS code
-        const baseTariff = getBaseTariffRate(productData.htsCode);
-        
-        // Adjust for country-specific rates
-        const { rate, message } = adjustTariffForCountry(baseTariff, productData);
-        
-        // Check for additional special tariffs or exclusions
-        const { finalRate, finalMessage, details } = applySpecialTariffs(rate, message, productData);
-        
-        resolve({
-          rate: finalRate,
-          message: finalMessage,
-          htsCode: productData.htsCode,
-          productDetails: details
-        });
-      }, 300);
-    });
+    dataset = await loadHTSDataset();
+    htsInfo = await lookupHTSCode(productData.htsCode);
   } catch (error) {
-    console.error('Error fetching tariff data:', error);
-    // Return a default tariff response
-    return {
-      rate: 0,
-      message: 'Error fetching tariff data',
-      htsCode: productData.htsCode || '9999'
-    };
+    console.error('Error reading the HTS dataset:', error);
+  }
+  
+  let mfnRate;
+  let mfnRateText = null;
+  if (htsInfo && htsInfo.generalRate !== null) {
+    // Use the official rate, or a free trade agreement rate if the country has one
+    const country = findScheduleCountry(getProductCountryCode(productData));
+    const applied = getApplicableHTSRate(htsInfo, (country && country.htsPrograms) || []);
+    mfnRate = applied.rate;
+    mfnRateText = applied.text;
+  } else {
+    // The code isn't in the dataset or is too broad to have a single rate
+    mfnRate = getBaseTariffRate(productData.htsCode);
   }
+  
+  // Stack the base rate for the HTS code with the country, Section 232
+  // and Section 301 duties
+  const tariffData = collectTariffComponents({ ...productData, mfnRate }, productData.asOf);
+  
+  return {
+    ...tariffData,
+    htsCode: htsInfo ? htsInfo.htsCode : productData.htsCode,
+    htsDescription: htsInfo ? htsInfo.description : null,
+    mfnRateText,
+    specificDuty: htsInfo ? htsInfo.specificDuty : null,
+    // The bundled dataset may only be a sample of the schedule, in which
+    // case its rates aren't the official ones and a code without a rate
+    // may simply be missing from it
+    isApproximateBaseRate: mfnRateText === null,
+    isSampleHTSRate: mfnRateText !== null && (!dataset || !!dataset.isSubset),
+    isHTSDatasetSubset: !dataset || !!dataset.isSubset
+  };
 }
 
 /**
@@ -489,8 +395,8 @@ async function fetchTariffData(productData) {
  * @returns {number} - Base tariff rate
  */
 function getBaseTariffRate(htsCode) {
-  // This would typically come from the USITC HTS database
-  // For demonstration, we'll use some common rates
+  // Only used when the HTS dataset has no single rate for the code,
+  // so this is a rough average for the chapter
   
   // Get just the chapter (first 2 digits)
   const chapter = htsCode.substring(0, 2);
@@ -532,310 +438,18 @@ function getBaseTariffRate(htsCode) {
   return chapterRates[chapter] || 0.03;
 }
 
-/**
- * Adjust the tariff rate based on the country of origin
- * @param {number} baseRate - Base tariff rate
- * @param {Object} productData - Product data
- * @returns {Object} - Adjusted rate and message
- */
-function adjustTariffForCountry(baseRate, productData) {
-  const country = productData.countryOfOrigin;
-  const htsCode = productData.htsCode;
-  const chapter = htsCode.substring(0, 2);
-  
-  // Countries with higher tariffs due to the April 2025 "Liberation Day" tariffs
-  if (country === 'china') {
-    // China has a 34% tariff + existing 20% = 54% total
-    return { 
-      rate: 0.54, 
-      message: 'This product from China is subject to a combined 54% tariff rate (34% reciprocal + 20% existing tariffs)'
-    };
-  } 
-  else if (country === 'japan') {
-    // Japan has a 10% baseline tariff rate (reduced from 24% for 90 days)
-    return { 
-      rate: 0.10, 
-      message: 'This product from Japan is subject to a 10% baseline tariff rate under the April 2025 tariff policy (reduced from 24% for 90 days)'
-    };
-  }
-  else if (country === 'south korea' || country === 'korea') {
-    // South Korea has a 25% tariff rate
-    return { 
-      rate: 0.25, 
-      message: 'This product from South Korea is subject to a 25% tariff rate under the April 2025 tariff policy'
-    };
-  }
-  else if (country === 'taiwan') {
-    // Taiwan has a 32% tariff rate
-    return { 
-      rate: 0.32, 
-      message: 'This product from Taiwan is subject to a 32% tariff rate under the April 2025 tariff policy'
-    };
-  }
-  else if (country === 'european union' || country === 'eu' || 
-           country === 'germany' || country === 'france' || 
-           country === 'italy' || country === 'spain') {
-    // EU has a 20% tariff rate
-    return { 
-      rate: 0.20, 
-      message: 'This product from the European Union is subject to a 20% tariff rate under the April 2025 tariff policy'
-    };
-  }
-  else if (country === 'vietnam') {
-    // Vietnam has a 46% tariff rate
-    return { 
-      rate: 0.46, 
-      message: 'This product from Vietnam is subject to a 46% tariff rate under the April 2025 tariff policy'
-    };
-  }
-  else if (country === 'india') {
-    // India has a 40% tariff rate
-    return { 
-      rate: 0.40, 
-      message: 'This product from India is subject to a 40% tariff rate under the April 2025 tariff policy'
-    };
-  }
-  else if (country === 'indonesia') {
-    // Indonesia has a 32% tariff rate
-    return { 
-      rate: 0.32, 
-      message: 'This product from Indonesia is subject to a 32% tariff rate under the April 2025 tariff policy'
-    };
-  }
-  else if (country === 'thailand') {
-    // Thailand has a 20% tariff rate
-    return { 
-      rate: 0.20, 
-      message: 'This product from Thailand is subject to a 20% tariff rate under the April 2025 tariff policy'
-    };
-  }
-  else if (country === 'malaysia') {
-    // Malaysia has a 25% tariff rate
-    return { 
-      rate: 0.25, 
-      message: 'This product from Malaysia is subject to a 25% tariff rate under the April 2025 tariff policy'
-    };
-  }
-  
-  // Free trade agreement countries
-  const ftaCountries = [
-    'canada', 'mexico', 'australia', 'bahrain', 'chile', 
-    'colombia', 'israel', 'jordan', 'morocco', 'oman', 
-    'panama', 'peru', 'singapore'
-  ];
-  
-  // Check for FTA countries - USMCA
-  if (country === 'mexico' || country === 'canada') {
-    return { 
-      rate: 0.25, 
-      message: `This product from ${country} is subject to a 25% tariff under the 2025 USMCA revisions`
-    };
-  }
-  
-  // Check for other FTA countries
-  if (ftaCountries.includes(country)) {
-    // For all other countries, apply the baseline 10% universal tariff
-    return { 
-      rate: 0.10, 
-      message: `Products from ${country} are subject to the universal 10% baseline tariff implemented in April 2025`
-    };
-  }
-  
-  // Default case: use the 10% baseline tariff
-  return { 
-    rate: 0.10, 
-    message: `Products from ${country} are subject to the universal 10% baseline tariff implemented in April 2025`
-  };
-}
-
-/**
- * Apply any special tariffs or exclusions
- * @param {number} rate - Current tariff rate
- * @param {string} message - Current message
- * @param {Object} productData - Product data
- * @returns {Object} - Final rate, message, and details
- */
-function applySpecialTariffs(rate, message, productData) {
-  // No special tariffs or exemptions, just return the original rate and message
-  return {
-    finalRate: rate,
-    finalMessage: message,
-    details: {}
-  };
-}
-
 /**
  * Fallback method to determine if a product is subject to tariffs
  * based on country of origin when API requests fail
  * @param {Object} productData - Product data
+ * @param {Date} asOf - Date to calculate the rate for (defaults to today)
  * @returns {Object} - Basic tariff information
  */
-function fallbackTariffCheck(productData) {
-  const country = normalizeCountryName(productData.countryOfOrigin);
-  const price = productData.price;
-  
-  // Default values
-  let tariffRate = 0;
-  let message = '';
-  let isSubjectToTariff = false;
-  
-  // Check if the country is included in the April 2025 "Liberation Day" tariff schedule
-  if (country === 'china') {
-    // China has a 34% tariff + existing 20% = 54% total
-    tariffRate = 0.54;
-    isSubjectToTariff = true;
-    message = 'Using fallback data: This product from China is subject to a combined 54% tariff rate (34% reciprocal + 20% existing tariffs)';
-  } 
-  else if (country === 'japan') {
-    // Japan has a 10% baseline tariff rate as of May 2025 (initially was 24% but reduced for 90 days)
-    tariffRate = 0.10;
-    isSubjectToTariff = true;
-    message = 'Using fallback data: This product from Japan is subject to a 10% baseline tariff rate under the April 2025 tariff policy (reduced from 24% for 90 days)';
-  }
-  else if (country === 'south korea' || country === 'korea') {
-    // South Korea has a 25% tariff rate
-    tariffRate = 0.25;
-    isSubjectToTariff = true;
-    message = 'Using fallback data: This product from South Korea is subject to a 25% tariff rate under the April 2025 tariff policy';
-  }
-  else if (country === 'taiwan') {
-    // Taiwan has a 32% tariff rate
-    tariffRate = 0.32;
-    isSubjectToTariff = true;
-    message = 'Using fallback data: This product from Taiwan is subject to a 32% tariff rate under the April 2025 tariff policy';
-  }
-  else if (country === 'european union' || country === 'eu' || 
-          country === 'germany' || country === 'france' || 
-          country === 'italy' || country === 'spain') {
-    // EU has a 20% tariff rate
-    tariffRate = 0.20;
-    isSubjectToTariff = true;
-    message = 'Using fallback data: This product from the European Union is subject to a 20% tariff rate under the April 2025 tariff policy';
-  }
-  else if (country === 'vietnam') {
-    // Vietnam has a 46% tariff rate
-    tariffRate = 0.46;
-    isSubjectToTariff = true;
-    message = 'Using fallback data: This product from Vietnam is subject to a 46% tariff rate under the April 2025 tariff policy';
-  }
-  else if (country === 'india') {
-    // India has a 40% tariff rate
-    tariffRate = 0.40;
-    isSubjectToTariff = true;
-    message = 'Using fallback data: This product from India is subject to a 40% tariff rate under the April 2025 tariff policy';
-  }
-  else if (country === 'brazil') {
-    // Brazil has a 10% tariff rate
-    tariffRate = 0.10;
-    isSubjectToTariff = true;
-    message = 'Using fallback data: This product from Brazil is subject to a 10% tariff rate under the April 2025 tariff policy';
-  }
-  else if (country === 'indonesia') {
-    // Indonesia has a 32% tariff rate
-    tariffRate = 0.32;
-    isSubjectToTariff = true;
-    message = 'Using fallback data: This product from Indonesia is subject to a 32% tariff rate under the April 2025 tariff policy';
-  }
-  else if (country === 'thailand') {
-    // Thailand has a 20% tariff rate
-    tariffRate = 0.20;
-    isSubjectToTariff = true;
-    message = 'Using fallback data: This product from Thailand is subject to a 20% tariff rate under the April 2025 tariff policy';
-  }
-  else if (country === 'malaysia') {
-    // Malaysia has a 25% tariff rate
-    tariffRate = 0.25;
-    isSubjectToTariff = true;
-    message = 'Using fallback data: This product from Malaysia is subject to a 25% tariff rate under the April 2025 tariff policy';
-  }
-  else if (country === 'mexico' || country === 'canada') {
-    // Not exempt, subject to the 25% USMCA tariff
-    tariffRate = 0.25;
-    isSubjectToTariff = true;
-    message = `Using fallback data: This product from ${country} is subject to a 25% tariff under the 2025 USMCA revisions`;
-  }
-  else if (country === 'united kingdom' || country === 'uk') {
-    // UK has a 10% tariff rate
-    tariffRate = 0.10;
-    isSubjectToTariff = true;
-    message = 'Using fallback data: This product from the UK is subject to a 10% tariff rate under the April 2025 tariff policy';
-  }
-  else if (country === 'australia') {
-    // Australia has a 10% tariff rate
-    tariffRate = 0.10;
-    isSubjectToTariff = true;
-    message = 'Using fallback data: This product from Australia is subject to a 10% tariff rate under the April 2025 tariff policy';
-  }
-  else if (country === 'unknown') {
-    // For unknown origin, apply the baseline 10% tariff
-    tariffRate = 0.10;
-    isSubjectToTariff = true;
-    message = 'Using fallback data: Country of origin unknown, applying the minimum baseline 10% tariff';
-  }
-  else {
-    // For all other countries, apply the baseline 10% universal tariff
-    tariffRate = 0.10;
-    isSubjectToTariff = true;
-    message = `Using fallback data: Products from ${country} are subject to the universal 10% baseline tariff implemented in April 2025`;
-  }
-  
-  // Calculate tariff amount based on price
-  const preTariffPrice = price / (1 + tariffRate);
-  const tariffAmount = price - preTariffPrice;
-  
-  return {
-    isSubjectToTariff,
-    tariffRate,
-    preTariffPrice,
-    tariffAmount,
-    message,
-    isFallback: true
-  };
-}
-
-/**
- * Check if we have cached tariff data for the given key
- * @param {string} cacheKey - Cache key
- * @returns {boolean} - Whether we have valid cached data
- */
-function hasCachedTariffData(cacheKey) {
-  const now = Date.now();
-  
-  // Check if cache is expired
-  if (now - tariffCache.timestamp > tariffCache.CACHE_DURATION) {
-    tariffCache.data = {};
-    tariffCache.timestamp = now;
-    return false;
-  }
-  
-  return !!tariffCache.data[cacheKey];
-}
+function fallbackTariffCheck(productData, asOf = new Date()) {
+  const tariffData = fallbackCalculation(normalizeCountryOfOrigin(productData), asOf);
 
-/**
- * Get cached tariff data
- * @param {string} cacheKey - Cache key
- * @param {number} price - Product price
- * @returns {Object} - Tariff information
- */
-function getCachedTariffData(cacheKey, price) {
-  const tariffData = tariffCache.data[cacheKey];
-  const tariffAmount = price * tariffData.rate;
-  
   return {
-    isSubjectToTariff: tariffData.rate > 0,
-    tariffAmount: tariffAmount,
-    tariffRate: tariffData.rate,
-    message: tariffData.message,
-    productDetails: tariffData.productDetails || {}
+    ...tariffData,
+    message: 'Using fallback data: ' + tariffData.message
   };
 }
-
-/**
- * Cache tariff data
- * @param {string} cacheKey - Cache key
- * @param {Object} tariffData - Tariff data to cache
- */
-function cacheTariffData(cacheKey, tariffData) {
-  tariffCache.data[cacheKey] = tariffData;
-  tariffCache.timestamp = Date.now();
-}
\ No newline at end of file
@@ -0,0 +1,89 @@
+/**
+ * Amazon Tariff Checker
+ * Copyright (c) 2025 Dual Lens (https://duallens.substack.com)
+ * This code is licensed under the MIT License.
+ * For the full license text, see the LICENSE file in the project repository
+ * or visit: https://opensource.org/licenses/MIT
+ * DISCLAIMER: This extension is not affiliated with Amazon.com. It only processes
+ * information visible on the current page and does not collect or transmit user data.
+ * All analysis occurs locally within the browser.
+ */
+
+// tariffbadge.js - The small tariff badges shown next to products on
+// search results and in the cart. A product with a known origin gets its
+// estimate; one without gets a "?" badge that opens the product page with
+// ANALYZE_PRODUCT_HASH, which makes content.js show the full check.
+
+// Asks content.js to show the modal even for products without a tariff. The
+// product page loads this script too, so both sides read the same value.
+var ANALYZE_PRODUCT_HASH = '#tariff-checker';
+
+/**
+ * Build the badge for a product with an estimate
+ * @param {Object} productData - Product data (with originBasis, the text the origin came from)
+ * @param {Object} tariffData - Tariff information
+ * @returns {HTMLElement} - Badge element
+ */
+function createTariffBadge(productData, tariffData) {
+  const badge = document.createElement('span');
+  badge.className = 'tariff-checker-badge';
+
+  // Without a price the amount is zero, but the rate still applies
+  const hasPrice = productData.price > 0;
+  const subject = tariffData.isSubjectToTariff || (!hasPrice && tariffData.tariffRate > 0);
+  if (!subject) {
+    badge.textContent = 'No tariff';
+  } else if (hasPrice) {
+    badge.textContent = `Tariff ~$${tariffData.tariffAmount.toFixed(2)} (${(tariffData.tariffRate * 100).toFixed(0)}%)`;
+  } else {
+    badge.textContent = `Tariff ~${(tariffData.tariffRate * 100).toFixed(0)}%`;
+  }
+
+  const corrected = productData.overrides && Object.keys(productData.overrides).length > 0;
+  badge.title = `${productData.countryOfOrigin}, from "${productData.originBasis || 'your correction'}". ` +
+                `${tariffData.message}${corrected ? ' Uses your saved corrections.' : ''}`;
+  badge.style.cssText = `
+    display: inline-block;
+    margin: 4px 0;
+    padding: 1px 6px;
+    border-radius: 4px;
+    font-size: 12px;
+    font-family: Arial, sans-serif;
+    color: ${subject ? '#B12704' : '#007600'};
+    background-color: ${subject ? '#fff4f4' : '#f4fff4'};
+    border: 1px solid ${subject ? '#f5c6c6' : '#c6e8c6'};
+  `;
+  return badge;
+}
+
+/**
+ * Build the "?" badge for a product whose origin isn't known. Clicking it
+ * opens the product page, which shows the full check.
+ * @param {Object} productData - Product data (with productUrl)
+ * @returns {HTMLElement} - Badge element
+ */
+function createUnknownOriginBadge(productData) {
+  const badge = document.createElement('a');
+  badge.className = 'tariff-checker-badge';
+  badge.textContent = 'Tariff ?';
+  badge.href = productData.productUrl.split('#')[0] + ANALYZE_PRODUCT_HASH;
+  badge.target = '_blank';
+  badge.rel = 'noopener';
+  badge.title = 'This page doesn\'t say where the product is made. Click to analyze the product page.';
+  badge.style.cssText = `
+    display: inline-block;
+    margin: 4px 0;
+    padding: 1px 6px;
+    border-radius: 4px;
+    font-size: 12px;
+    font-family: Arial, sans-serif;
+    color: #555;
+    background-color: #f3f3f3;
+    border: 1px solid #ddd;
+    cursor: pointer;
+    text-decoration: none;
+  `;
+  // The result or cart item around it is often a link to the product
+  badge.addEventListener('click', event => event.stopPropagation());
+  return badge;
+}
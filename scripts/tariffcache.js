@@ -0,0 +1,160 @@
+/**
+ * Amazon Tariff Checker
+ * Copyright (c) 2025 Dual Lens (https://duallens.substack.com)
+ * This code is licensed under the MIT License.
+ * For the full license text, see the LICENSE file in the project repository
+ * or visit: https://opensource.org/licenses/MIT
+ * DISCLAIMER: This extension is not affiliated with Amazon.com. It only processes
+ * information visible on the current page and does not collect or transmit user data.
+ * All analysis occurs locally within the browser.
+ */
+
+/**
+ * Tariff Cache
+ *
+ * Persists tariff rate lookups in chrome.storage.local so they survive the
+ * background service worker being shut down. Every entry expires on its own
+ * after ENTRY_TTL, the least recently used entries are evicted once the cache
+ * holds more than MAX_ENTRIES, and the whole cache is dropped when the rate
+ * schedule version in rateschedule.js or the shape of the cached entries
+ * (ENTRY_FORMAT) changes.
+ */
+
+var TARIFF_CACHE_CONFIG = {
+  STORAGE_KEY: 'tariffCache',
+  ENTRY_TTL: 24 * 60 * 60 * 1000, // 24 hours in milliseconds
+  MAX_ENTRIES: 200,
+  // Raise when the cached rate components change shape, e.g. 2 when
+  // components started keeping their statutory rate apart from their share
+  ENTRY_FORMAT: 2
+};
+
+// Cache operations are chained so concurrent requests don't overwrite each
+// other's changes to the stored cache
+var tariffCacheQueue = Promise.resolve();
+
+/**
+ * Run a cache operation after every operation queued before it
+ * @param {Function} operation - Async function receiving the loaded cache
+ * @returns {Promise<*>} - Result of the operation
+ */
+function queueTariffCacheOperation(operation) {
+  const result = tariffCacheQueue.then(() => loadTariffCache()).then(operation);
+  tariffCacheQueue = result.catch(error => {
+    console.error('Tariff cache operation failed:', error);
+  });
+  return result;
+}
+
+/**
+ * Load the cache from storage, discarding it if it was built from another
+ * version of the rate schedule or holds entries in an older format
+ * @returns {Promise<Object>} - Cache ({ scheduleVersion, entryFormat, entries })
+ */
+async function loadTariffCache() {
+  const stored = await chrome.storage.local.get(TARIFF_CACHE_CONFIG.STORAGE_KEY);
+  const cache = stored[TARIFF_CACHE_CONFIG.STORAGE_KEY];
+
+  if (!cache || cache.scheduleVersion !== TARIFF_RATE_SCHEDULE.version ||
+      cache.entryFormat !== TARIFF_CACHE_CONFIG.ENTRY_FORMAT) {
+    if (cache && cache.scheduleVersion !== TARIFF_RATE_SCHEDULE.version) {
+      console.log(`Rate schedule changed from ${cache.scheduleVersion} to ${TARIFF_RATE_SCHEDULE.version}, clearing tariff cache`);
+    } else if (cache) {
+      console.log(`Tariff cache entry format changed to ${TARIFF_CACHE_CONFIG.ENTRY_FORMAT}, clearing tariff cache`);
+    }
+    return { scheduleVersion: TARIFF_RATE_SCHEDULE.version, entryFormat: TARIFF_CACHE_CONFIG.ENTRY_FORMAT, entries: {} };
+  }
+
+  return cache;
+}
+
+/**
+ * Write the cache back to storage
+ * @param {Object} cache - Cache ({ scheduleVersion, entryFormat, entries })
+ * @returns {Promise<void>}
+ */
+function saveTariffCache(cache) {
+  return chrome.storage.local.set({ [TARIFF_CACHE_CONFIG.STORAGE_KEY]: cache });
+}
+
+/**
+ * Check whether a cache entry is past its time to live
+ * @param {Object} entry - Cache entry ({ data, storedAt, lastUsed })
+ * @param {number} now - Current time in milliseconds
+ * @returns {boolean} - Whether the entry has expired
+ */
+function isTariffCacheEntryExpired(entry, now) {
+  return now - entry.storedAt > TARIFF_CACHE_CONFIG.ENTRY_TTL;
+}
+
+/**
+ * Get cached tariff data
+ * @param {string} cacheKey - Cache key
+ * @returns {Promise<Object|null>} - Cached tariff rate components (amounts depend on the price), or null
+ */
+function getCachedTariffData(cacheKey) {
+  return queueTariffCacheOperation(async cache => {
+    const entry = cache.entries[cacheKey];
+    if (!entry) return null;
+
+    const now = Date.now();
+    if (isTariffCacheEntryExpired(entry, now)) {
+      delete cache.entries[cacheKey];
+      await saveTariffCache(cache);
+      return null;
+    }
+
+    entry.lastUsed = now;
+    await saveTariffCache(cache);
+    return entry.data;
+  });
+}
+
+/**
+ * Cache tariff data, evicting expired and least recently used entries
+ * @param {string} cacheKey - Cache key
+ * @param {Object} tariffData - Tariff data to cache
+ * @returns {Promise<void>}
+ */
+function cacheTariffData(cacheKey, tariffData) {
+  return queueTariffCacheOperation(cache => {
+    const now = Date.now();
+    cache.entries[cacheKey] = { data: tariffData, storedAt: now, lastUsed: now };
+
+    Object.keys(cache.entries).forEach(key => {
+      if (isTariffCacheEntryExpired(cache.entries[key], now)) {
+        delete cache.entries[key];
+      }
+    });
+
+    const keys = Object.keys(cache.entries);
+    if (keys.length > TARIFF_CACHE_CONFIG.MAX_ENTRIES) {
+      keys
+        .sort((a, b) => cache.entries[a].lastUsed - cache.entries[b].lastUsed)
+        .slice(0, keys.length - TARIFF_CACHE_CONFIG.MAX_ENTRIES)
+        .forEach(key => delete cache.entries[key]);
+    }
+
+    return saveTariffCache(cache);
+  });
+}
+
+/**
+ * Remove every cached tariff lookup
+ * @returns {Promise<void>}
+ */
+function clearTariffCache() {
+  return queueTariffCacheOperation(() => chrome.storage.local.remove(TARIFF_CACHE_CONFIG.STORAGE_KEY));
+}
+
+/**
+ * Count the cached tariff lookups that haven't expired
+ * @returns {Promise<Object>} - Cache statistics ({ entries, scheduleVersion })
+ */
+function getTariffCacheStats() {
+  return queueTariffCacheOperation(cache => {
+    const now = Date.now();
+    const entries = Object.values(cache.entries).filter(entry => !isTariffCacheEntryExpired(entry, now));
+    return { entries: entries.length, scheduleVersion: cache.scheduleVersion };
+  });
+}
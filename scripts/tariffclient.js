@@ -0,0 +1,61 @@
+/**
+ * Amazon Tariff Checker
+ * Copyright (c) 2025 Dual Lens (https://duallens.substack.com)
+ * This code is licensed under the MIT License.
+ * For the full license text, see the LICENSE file in the project repository
+ * or visit: https://opensource.org/licenses/MIT
+ * DISCLAIMER: This extension is not affiliated with Amazon.com. It only processes
+ * information visible on the current page and does not collect or transmit user data.
+ * All analysis occurs locally within the browser.
+ */
+
+// tariffclient.js - Asks the background service worker (background.js) for a
+// tariff estimate, then corrects it with calibration.js and splits the price
+// with passthrough.js. Shared by the content scripts and the popup-injected script.
+
+/**
+ * Request the background tariff engine's estimate for a product, before it
+ * is calibrated or the price is split. Checkout records compare deposits
+ * with this estimate, so the calibration fits what it later corrects.
+ * @param {Object} productData - Product data extracted from the page
+ * @param {Object} settings - User settings from getUserSettings
+ * @returns {Promise<Object>} - Tariff information (direct calculation if the background is unavailable)
+ */
+function requestEngineEstimate(productData, settings) {
+  return new Promise(resolve => {
+    // The customs value ratios the user set in the popup go with the product
+    const request = { ...productData, customsValueRatios: settings.customsValueRatios };
+    try {
+      chrome.runtime.sendMessage({ action: 'getTariffInfo', productData: request }, function(response) {
+        if (chrome.runtime.lastError || !response || response.error) {
+          console.error('Background tariff engine unavailable, using direct calculation:',
+                        chrome.runtime.lastError || (response && response.error));
+          resolve(fallbackCalculation(request));
+          return;
+        }
+        
+        resolve(response.tariffData);
+      });
+    } catch (error) {
+      // The extension context is gone (e.g. the extension was reloaded)
+      console.error('Could not reach background tariff engine:', error);
+      resolve(fallbackCalculation(request));
+    }
+  });
+}
+
+/**
+ * Request tariff information for a product from the background tariff engine
+ * @param {Object} productData - Product data extracted from the page
+ * @returns {Promise<Object>} - Tariff information, calibrated (direct calculation if the background is unavailable)
+ */
+function requestTariffInfo(productData) {
+  const userSettings = getUserSettings();
+  const estimate = userSettings.then(settings => requestEngineEstimate(productData, settings));
+  
+  // Corrected with the import fees deposits seen at checkout, if allowed,
+  // then the price split by the user's pass-through assumption
+  return estimate
+    .then(tariffData => calibrateTariffData(productData, tariffData))
+    .then(tariffData => userSettings.then(settings => applyPassThrough(productData, tariffData, settings)));
+}
@@ -0,0 +1,1027 @@
+/**
+ * Amazon Tariff Checker
+ * Copyright (c) 2025 Dual Lens (https://duallens.substack.com)
+ * This code is licensed under the MIT License.
+ * For the full license text, see the LICENSE file in the project repository
+ * or visit: https://opensource.org/licenses/MIT
+ * DISCLAIMER: This extension is not affiliated with Amazon.com. It only processes
+ * information visible on the current page and does not collect or transmit user data.
+ * All analysis occurs locally within the browser.
+ */
+
+// tariffmodal.js - Builds the tariff modal shown on product pages. Shared by the
+// content script and the popup-injected script so both render the same way.
+// The correction form recalculates through tariffclient.js and saves the
+// corrections with productoverrides.js. Origin sources come from
+// originextractor.js and price details from priceextractor.js. Every
+// estimate shown is remembered with productestimates.js.
+
+/**
+ * Create and show the tariff modal
+ */
+function showTariffModal(productData, tariffData) {
+  console.log('Showing tariff modal');
+  try {
+    // Remove any existing modal
+    closeTariffModal();
+    
+    // Create the modal container
+    const modal = document.createElement('div');
+    modal.id = 'tariff-tax-modal';
+    modal.style.cssText = `
+      position: fixed;
+      top: 100px;
+      right: 20px;
+      width: 320px;
+      background-color: white;
+      border: 1px solid #ddd;
+      border-radius: 8px;
+      padding: 20px;
+      box-shadow: 0 4px 12px rgba(0, 0, 0, 0.15);
+      z-index: 9999;
+      font-family: Arial, sans-serif;
+      max-height: 80vh;
+      overflow-y: auto;
+    `;
+    
+    // Create the modal header
+    const header = document.createElement('div');
+    header.style.cssText = `
+      display: flex;
+      justify-content: space-between;
+      align-items: center;
+      margin-bottom: 15px;
+      border-bottom: 1px solid #eee;
+      padding-bottom: 15px;
+    `;
+    
+    const title = document.createElement('h3');
+    title.textContent = 'Amazon Tariff Tax Checker';
+    title.style.margin = '0';
+    title.style.fontSize = '18px';
+    title.style.fontWeight = 'bold';
+    title.style.color = '#232F3E'; // Amazon's dark blue
+    
+    const closeButton = document.createElement('button');
+    closeButton.textContent = '×';
+    closeButton.style.cssText = `
+      background: none;
+      border: none;
+      font-size: 24px;
+      cursor: pointer;
+      padding: 0;
+      line-height: 1;
+      color: #555;
+    `;
+    closeButton.onclick = () => modal.remove();
+    
+    header.appendChild(title);
+    header.appendChild(closeButton);
+    
+    // Create the modal content
+    const content = document.createElement('div');
+    content.id = 'tariff-tax-modal-content';
+    renderTariffModalContent(content, productData, tariffData);
+    
+    // Let the user correct what we read from the page and recalculate
+    const overrideForm = createOverrideForm(content, productData, tariffData);
+    
+    // Add a disclaimer
+    const disclaimer = document.createElement('p');
+    disclaimer.textContent = 'This is an estimate based on public tariff information. Actual tariffs may vary and are determined by customs authorities.';
+    disclaimer.style.cssText = `
+      margin-top: 15px;
+      font-size: 11px;
+      color: #666;
+      font-style: italic;
+    `;
+    
+    // Add data source info
+    const dataSourceNote = document.createElement('p');
+    dataSourceNote.textContent = `Using data from U.S. Customs and Border Protection, the White House, and Office of the U.S. Trade Representative. Last updated: ${TARIFF_RATE_SCHEDULE.lastUpdated}`;
+    dataSourceNote.style.cssText = `
+      margin-top: 5px;
+      font-size: 10px;
+      color: #999;
+    `;
+    
+    // Assemble the modal
+    modal.appendChild(header);
+    modal.appendChild(content);
+    modal.appendChild(overrideForm);
+    modal.appendChild(disclaimer);
+    modal.appendChild(dataSourceNote);
+    
+    // Add the modal to the page
+    document.body.appendChild(modal);
+    console.log('Modal added to page');
+    
+    // Auto-close the modal after 60 seconds, unless the user starts editing it
+    const autoCloseTimer = setTimeout(() => {
+      if (document.getElementById('tariff-tax-modal')) {
+        modal.remove();
+      }
+    }, 60000);
+    modal.addEventListener('focusin', () => clearTimeout(autoCloseTimer));
+  } catch (error) {
+    console.error('Error showing modal:', error);
+  }
+}
+
+/**
+ * Remove the tariff modal, if it is open
+ */
+function closeTariffModal() {
+  const modal = document.getElementById('tariff-tax-modal');
+  if (modal) {
+    modal.remove();
+  }
+}
+
+/**
+ * Replace the estimate in the open modal without moving or reopening it,
+ * e.g. after the shopper picks another size or color
+ * @param {Object} productData - Product data
+ * @param {Object} tariffData - Tariff information
+ * @returns {boolean} - Whether a modal was open to refresh
+ */
+function refreshTariffModal(productData, tariffData) {
+  const content = document.getElementById('tariff-tax-modal-content');
+  const overrideForm = document.getElementById('tariff-override-form');
+  if (!content || !overrideForm) return false;
+
+  renderTariffModalContent(content, productData, tariffData);
+  const updatedForm = createOverrideForm(content, productData, tariffData);
+  // Keep the form the way the user left it
+  updatedForm.open = updatedForm.open || overrideForm.open;
+  overrideForm.replaceWith(updatedForm);
+  console.log('Tariff modal refreshed');
+  return true;
+}
+
+/**
+ * Render the product, origin and tariff sections of the modal
+ * @param {HTMLElement} content - Modal content container (emptied first)
+ * @param {Object} productData - Product data
+ * @param {Object} tariffData - Tariff information
+ */
+function renderTariffModalContent(content, productData, tariffData) {
+  content.textContent = '';
+  const overrides = productData.overrides || {};
+  
+  // Display product info
+  const productInfo = document.createElement('div');
+  
+  const productTitle = document.createElement('p');
+  productTitle.textContent = `Product: ${productData.productTitle.substring(0, 60)}${productData.productTitle.length > 60 ? '...' : ''}`;
+  productTitle.style.margin = '0 0 10px 0';
+  productTitle.style.fontWeight = 'bold';
+  
+  // Say which of the page's prices the estimate uses
+  const priceDetails = 'price' in overrides ? null : productData.priceDetails;
+  const priceLabel = 'price' in overrides ? 'your correction' : (priceDetails ? priceDetails.sourceLabel : null);
+  const productPrice = document.createElement('p');
+  productPrice.textContent = `Listed Price: $${productData.price.toFixed(2)}${priceLabel ? ` (${priceLabel})` : ''}`;
+  productPrice.style.margin = '0 0 10px 0';
+  
+  productInfo.appendChild(productTitle);
+  productInfo.appendChild(productPrice);
+  const otherPrices = priceDetails ? createOtherPricesInfo(priceDetails) : null;
+  if (otherPrices) {
+    productPrice.style.margin = '0 0 2px 0';
+    productInfo.appendChild(otherPrices);
+  }
+  
+  // Display country of origin
+  const originInfo = document.createElement('div');
+  originInfo.style.margin = '15px 0';
+  originInfo.style.padding = '10px';
+  originInfo.style.backgroundColor = '#f9f9f9';
+  originInfo.style.borderRadius = '4px';
+  
+  const originTitle = document.createElement('p');
+  originTitle.textContent = 'Origin Information';
+  originTitle.style.margin = '0 0 5px 0';
+  originTitle.style.fontWeight = 'bold';
+  
+  // Stated, inferred and unknown origins look different, so a guess is
+  // never mistaken for something the listing says
+  const originCountry = document.createElement('p');
+  const hasCountry = productData.countryOfOrigin && productData.countryOfOrigin !== 'Unknown';
+  const countryName = hasCountry ? productData.countryOfOrigin.charAt(0).toUpperCase() + productData.countryOfOrigin.slice(1) : '';
+  if ('countryOfOrigin' in overrides) {
+    originCountry.textContent = `Country of Origin: ${countryName} (your correction)`;
+  } else if (hasCountry && productData.originTier === 'inferred') {
+    originCountry.textContent = `Country of Origin: ${countryName} (inferred, not stated on the page)`;
+    originCountry.style.color = '#b36b00';
+    originCountry.style.fontStyle = 'italic';
+  } else if (hasCountry) {
+    originCountry.textContent = `Country of Origin: ${countryName}`;
+  } else {
+    originCountry.textContent = productData.originTier === 'inferred'
+      ? 'Country of Origin: Not stated on the page'
+      : 'Country of Origin: Not specified';
+    originCountry.style.color = '#e77600'; // Amazon's warning orange
+  }
+  originCountry.style.margin = '5px 0';
+  
+  originInfo.appendChild(originTitle);
+  originInfo.appendChild(originCountry);
+  if (productData.originSource && !('countryOfOrigin' in overrides)) {
+    originInfo.appendChild(createOriginSourceInfo(productData));
+  }
+  if (tariffData.htsDescription) {
+    originInfo.appendChild(createHTSInfo(tariffData));
+  }
+  if (tariffData.isApproximateBaseRate && tariffData.htsCode && tariffData.htsCode !== '9999') {
+    originInfo.appendChild(createApproximateRateNote(tariffData));
+  }
+  if (tariffData.classification && !('htsCode' in overrides)) {
+    originInfo.appendChild(createClassificationInfo(tariffData.classification));
+  }
+  originInfo.appendChild(createShipmentInfo(productData));
+  
+  // Display tariff information
+  const tariffInfo = document.createElement('div');
+  tariffInfo.style.margin = '15px 0';
+  tariffInfo.style.padding = '10px';
+  tariffInfo.style.backgroundColor = tariffData.isSubjectToTariff ? '#fff4f4' : '#f4fff4';
+  tariffInfo.style.borderRadius = '4px';
+  
+  // Use the new tariff display function
+  updateTariffDisplay(tariffInfo, productData, tariffData);
+  
+  // Warn about scheduled rate changes that would affect this product
+  const scheduledChanges = createScheduledChangesNotice(tariffData.scheduledChanges || []);
+  
+  // Add explanation
+  const explanation = document.createElement('div');
+  explanation.style.marginTop = '15px';
+  
+  const explanationText = document.createElement('p');
+  explanationText.textContent = tariffData.message;
+  explanationText.style.margin = '0';
+  explanationText.style.fontSize = '13px';
+  
+  // Add additional explanation about import price inclusion
+  const additionalExplanation = document.createElement('p');
+  additionalExplanation.textContent = 'Import tariffs are typically paid by the importer and included in the final retail price.';
+  additionalExplanation.style.margin = '10px 0 0 0';
+  additionalExplanation.style.fontSize = '13px';
+  additionalExplanation.style.fontStyle = 'italic';
+  
+  // Add note about tariff implementation date
+  const tariffDateNote = document.createElement('p');
+  const asOfDate = tariffData.asOf ? new Date(tariffData.asOf) : new Date();
+  tariffDateNote.textContent = `Tariff rates in force on ${formatScheduleDate(asOfDate)}, from the rate schedule last updated ${TARIFF_RATE_SCHEDULE.lastUpdated}.`;
+  tariffDateNote.style.margin = '5px 0 0 0';
+  tariffDateNote.style.fontSize = '12px';
+  tariffDateNote.style.fontStyle = 'italic';
+  
+  explanation.appendChild(explanationText);
+  explanation.appendChild(additionalExplanation);
+  explanation.appendChild(tariffDateNote);
+  
+  content.appendChild(productInfo);
+  content.appendChild(originInfo);
+  content.appendChild(tariffInfo);
+  if (scheduledChanges) {
+    content.appendChild(scheduledChanges);
+  }
+  content.appendChild(explanation);
+  
+  // Remember the estimate so the cart page can reuse it
+  rememberProductEstimate(productData, tariffData).catch(error => {
+    console.error('Error remembering the estimate:', error);
+  });
+}
+
+/**
+ * Build the form for correcting the country of origin, HTS code, price and
+ * shipment mode. Recalculating re-renders the modal content in place and
+ * remembers the corrections for the product's ASIN.
+ * @param {HTMLElement} content - Modal content container to re-render
+ * @param {Object} productData - Product data (with detected values and overrides)
+ * @param {Object} tariffData - Tariff information
+ * @returns {HTMLElement} - Form element
+ */
+function createOverrideForm(content, productData, tariffData) {
+  let currentProduct = productData;
+  const overrides = productData.overrides || {};
+
+  const form = document.createElement('details');
+  form.id = 'tariff-override-form';
+  form.style.cssText = `
+    margin: 15px 0 0 0;
+    padding: 10px;
+    border: 1px solid #eee;
+    border-radius: 4px;
+    font-size: 12px;
+  `;
+  // Open straight away when we couldn't find the country of origin
+  form.open = !productData.countryOfOrigin || productData.countryOfOrigin === 'Unknown';
+
+  const summary = document.createElement('summary');
+  summary.textContent = Object.keys(overrides).length > 0
+    ? 'Correct this estimate (using your corrections)'
+    : 'Correct this estimate';
+  summary.style.cursor = 'pointer';
+  summary.style.fontWeight = 'bold';
+  form.appendChild(summary);
+
+  const inputStyle = `
+    width: 100%;
+    box-sizing: border-box;
+    padding: 4px 6px;
+    border: 1px solid #ccc;
+    border-radius: 4px;
+    font-size: 12px;
+  `;
+
+  // Country of origin, suggesting every country in the ISO table
+  const countryInput = document.createElement('input');
+  countryInput.type = 'text';
+  countryInput.value = productData.countryOfOrigin && productData.countryOfOrigin !== 'Unknown' ? productData.countryOfOrigin : '';
+  countryInput.placeholder = productData.originTier === 'inferred' && productData.originSource
+    ? `Inferred: ${productData.originSource.country}`
+    : 'e.g. China';
+  countryInput.setAttribute('list', 'tariff-country-options');
+  countryInput.style.cssText = inputStyle;
+
+  const countryOptions = document.createElement('datalist');
+  countryOptions.id = 'tariff-country-options';
+  getCountryNames().forEach(name => {
+    const option = document.createElement('option');
+    option.value = name;
+    countryOptions.appendChild(option);
+  });
+
+  // An empty HTS code means the automatic classification
+  const htsInput = document.createElement('input');
+  htsInput.type = 'text';
+  htsInput.value = overrides.htsCode || '';
+  htsInput.placeholder = tariffData.htsCode && tariffData.htsCode !== '9999' ? `${tariffData.htsCode} (automatic)` : 'e.g. 8518.30.20';
+  htsInput.style.cssText = inputStyle;
+
+  const priceInput = document.createElement('input');
+  priceInput.type = 'number';
+  priceInput.min = '0';
+  priceInput.step = '0.01';
+  priceInput.value = productData.price ? productData.price.toFixed(2) : '';
+  priceInput.style.cssText = inputStyle;
+
+  // Automatic is whatever the page says, or the schedule's default
+  const shipmentModes = TARIFF_RATE_SCHEDULE.shipmentModes;
+  const detectedMode = resolveShipmentMode({ shipmentMode: (productData.detected || productData).shipmentMode });
+  const shipmentSelect = document.createElement('select');
+  [['auto', `Automatic (${detectedMode.label.toLowerCase()})`],
+   ...Object.entries(shipmentModes).map(([value, mode]) => [value, mode.label])].forEach(([value, label]) => {
+    const option = document.createElement('option');
+    option.value = value;
+    option.textContent = label;
+    shipmentSelect.appendChild(option);
+  });
+  shipmentSelect.value = overrides.shipmentMode || 'auto';
+  shipmentSelect.style.cssText = inputStyle;
+
+  [['Country of origin', countryInput], ['HTS code', htsInput], ['Price ($)', priceInput], ['Shipment mode', shipmentSelect]]
+    .forEach(([labelText, input]) => {
+      const label = document.createElement('label');
+      label.textContent = labelText;
+      label.style.cssText = `
+        display: block;
+        margin: 8px 0 2px 0;
+        color: #555;
+      `;
+      form.appendChild(label);
+      form.appendChild(input);
+
+      // Enter in any field recalculates
+      input.addEventListener('keydown', event => {
+        if (event.key === 'Enter') {
+          event.preventDefault();
+          recalculate(readOverrides());
+        }
+      });
+    });
+  form.appendChild(countryOptions);
+
+  const buttons = document.createElement('div');
+  buttons.style.cssText = `
+    display: flex;
+    gap: 8px;
+    margin-top: 10px;
+  `;
+
+  const buttonStyle = `
+    padding: 5px 10px;
+    border-radius: 4px;
+    font-size: 12px;
+    cursor: pointer;
+  `;
+
+  const recalculateButton = document.createElement('button');
+  recalculateButton.textContent = 'Recalculate';
+  recalculateButton.style.cssText = buttonStyle + `
+    background-color: #FFD814;
+    border: 1px solid #FCD200;
+  `;
+  recalculateButton.onclick = () => recalculate(readOverrides());
+
+  const resetButton = document.createElement('button');
+  resetButton.textContent = 'Use page values';
+  resetButton.style.cssText = buttonStyle + `
+    background-color: #fff;
+    border: 1px solid #ccc;
+  `;
+  resetButton.onclick = () => {
+    const detected = currentProduct.detected || {};
+    countryInput.value = detected.countryOfOrigin && detected.countryOfOrigin !== 'Unknown' ? detected.countryOfOrigin : '';
+    htsInput.value = '';
+    priceInput.value = detected.price ? detected.price.toFixed(2) : '';
+    shipmentSelect.value = 'auto';
+    recalculate({});
+  };
+
+  buttons.appendChild(recalculateButton);
+  buttons.appendChild(resetButton);
+  form.appendChild(buttons);
+
+  const status = document.createElement('p');
+  status.style.cssText = `
+    margin: 8px 0 0 0;
+    color: #555;
+  `;
+  form.appendChild(status);
+
+  /**
+   * Read the fields that differ from what was detected on the page
+   * @returns {Object|null} - Overrides, or null if a field is invalid
+   */
+  function readOverrides() {
+    const detected = currentProduct.detected || {};
+    const fieldOverrides = {};
+
+    const country = countryInput.value.trim();
+    if (country && country.toLowerCase() !== String(detected.countryOfOrigin || '').toLowerCase()) {
+      fieldOverrides.countryOfOrigin = country;
+    }
+
+    const htsCode = htsInput.value.trim();
+    if (htsCode) {
+      if (htsCode.replace(/\D/g, '').length < 4) {
+        status.textContent = 'Enter an HTS code with at least 4 digits, e.g. 8518.30.20';
+        return null;
+      }
+      fieldOverrides.htsCode = htsCode;
+    }
+
+    const price = parseFloat(priceInput.value);
+    if (isNaN(price) || price <= 0) {
+      status.textContent = 'Enter a price greater than zero';
+      return null;
+    }
+    if (Math.abs(price - (detected.price || 0)) >= 0.005) {
+      fieldOverrides.price = price;
+    }
+
+    if (shipmentSelect.value !== 'auto') {
+      fieldOverrides.shipmentMode = shipmentSelect.value;
+    }
+
+    return fieldOverrides;
+  }
+
+  /**
+   * Recalculate the estimate with new overrides and remember them for this ASIN
+   * @param {Object|null} fieldOverrides - Overrides from readOverrides
+   */
+  async function recalculate(fieldOverrides) {
+    if (!fieldOverrides) return;
+
+    recalculateButton.disabled = true;
+    status.textContent = 'Recalculating...';
+
+    try {
+      const updatedProduct = applyProductOverrides(currentProduct, fieldOverrides);
+      const updatedTariff = await requestTariffInfo(updatedProduct);
+      renderTariffModalContent(content, updatedProduct, updatedTariff);
+      currentProduct = updatedProduct;
+
+      if (!fieldOverrides.htsCode && updatedTariff.htsCode && updatedTariff.htsCode !== '9999') {
+        htsInput.placeholder = `${updatedTariff.htsCode} (automatic)`;
+      }
+
+      await saveProductOverrides(updatedProduct.asin, fieldOverrides);
+      const hasOverrides = Object.keys(fieldOverrides).length > 0;
+      summary.textContent = hasOverrides ? 'Correct this estimate (using your corrections)' : 'Correct this estimate';
+      status.textContent = hasOverrides && updatedProduct.asin
+        ? 'Estimate updated. Your corrections will be used the next time you view this product.'
+        : 'Estimate updated.';
+    } catch (error) {
+      console.error('Error recalculating tariff:', error);
+      status.textContent = 'Could not recalculate: ' + error.message;
+    }
+
+    recalculateButton.disabled = false;
+  }
+
+  return form;
+}
+
+/**
+ * Build the warning block listing upcoming rate schedule changes
+ * @param {Array<Object>} changes - Changes from findScheduledChanges
+ * @returns {HTMLElement|null} - Notice element, or null when nothing is scheduled
+ */
+function createScheduledChangesNotice(changes) {
+  if (changes.length === 0) return null;
+  
+  const notice = document.createElement('div');
+  notice.style.cssText = `
+    margin: 15px 0;
+    padding: 10px;
+    background-color: #fff8e6;
+    border-radius: 4px;
+    font-size: 12px;
+    color: #e77600;
+  `;
+  
+  const noticeTitle = document.createElement('p');
+  noticeTitle.textContent = 'Scheduled tariff changes';
+  noticeTitle.style.margin = '0 0 5px 0';
+  noticeTitle.style.fontWeight = 'bold';
+  notice.appendChild(noticeTitle);
+  
+  changes.forEach(change => {
+    const changeText = document.createElement('p');
+    changeText.textContent = change.description;
+    changeText.style.margin = '5px 0 0 0';
+    notice.appendChild(changeText);
+  });
+  
+  return notice;
+}
+
+/**
+ * Build the line listing the page's other prices, so it is clear which
+ * figure the estimate used and which discounts it leaves out
+ * @param {Object} priceDetails - Prices from extractProductPrice
+ * @returns {HTMLElement|null} - Price details element, or null when the page shows no other prices
+ */
+function createOtherPricesInfo(priceDetails) {
+  const figures = [];
+  if (priceDetails.range) {
+    figures.push(priceDetails.source === 'range'
+      ? `up to $${priceDetails.range.high.toFixed(2)} for other options`
+      : `$${priceDetails.range.low.toFixed(2)} to $${priceDetails.range.high.toFixed(2)} depending on the option`);
+  }
+  if (priceDetails.listPrice && priceDetails.source !== 'listPrice') {
+    figures.push(`list price $${priceDetails.listPrice.toFixed(2)}`);
+  }
+  if (priceDetails.unitPrice) {
+    figures.push(`$${priceDetails.unitPrice.amount.toFixed(2)} per ${priceDetails.unitPrice.unit.toLowerCase()}`);
+  }
+  if (priceDetails.subscribeAndSave) {
+    figures.push(`Subscribe & Save $${priceDetails.subscribeAndSave.toFixed(2)}`);
+  }
+  if (priceDetails.coupon) {
+    figures.push(priceDetails.coupon.type === 'percent'
+      ? `a ${priceDetails.coupon.value}% coupon`
+      : `a $${priceDetails.coupon.value.toFixed(2)} coupon`);
+  }
+  if (figures.length === 0) return null;
+
+  const otherPrices = document.createElement('p');
+  otherPrices.textContent = `Also on the page: ${figures.join(', ')}.` +
+    (priceDetails.coupon || priceDetails.subscribeAndSave ? ' Coupons and Subscribe & Save discounts are not included in the estimate.' : '');
+  otherPrices.style.cssText = `
+    margin: 0 0 10px 0;
+    font-size: 12px;
+    color: #555;
+  `;
+  return otherPrices;
+}
+
+/**
+ * Build the lines saying where the country of origin came from: the part of
+ * the page that states it, or the clue an inferred country was guessed from
+ * and whether it is used. Other countries the page mentions are listed too.
+ * @param {Object} productData - Product data with originTier, originSource and originCandidates
+ * @returns {HTMLElement} - Origin source element
+ */
+function createOriginSourceInfo(productData) {
+  const originSource = productData.originSource;
+  const sourceInfo = document.createElement('div');
+  sourceInfo.style.cssText = `
+    margin: 2px 0 0 0;
+    font-size: 12px;
+    color: #555;
+  `;
+
+  const sourceLine = document.createElement('p');
+  sourceLine.style.margin = '0';
+  if (productData.originTier !== 'inferred') {
+    sourceLine.textContent = `Stated in the ${originSource.label}: "${originSource.excerpt}"`;
+  } else if (productData.countryOfOrigin && productData.countryOfOrigin !== 'Unknown') {
+    sourceLine.textContent = `Guessed from the ${originSource.label}: "${originSource.excerpt}". ` +
+                             'Inferred origins are turned on in the extension settings.';
+  } else {
+    sourceLine.textContent = `The ${originSource.label} suggests ${originSource.country} ("${originSource.excerpt}"), ` +
+                             'but inferred origins are not used for estimates. Enter the country below, ' +
+                             'or turn inferred origins on in the extension popup.';
+  }
+  sourceInfo.appendChild(sourceLine);
+
+  // Other countries the page mentions, each with its most reliable source
+  const others = {};
+  (productData.originCandidates || []).forEach(candidate => {
+    const key = candidate.country.toLowerCase();
+    if (key === String(originSource.country || '').toLowerCase()) return;
+    if (!others[key] || candidate.weight > others[key].weight) others[key] = candidate;
+  });
+
+  const otherMentions = Object.values(others).sort((a, b) => b.weight - a.weight);
+  if (otherMentions.length > 0) {
+    const otherLine = document.createElement('p');
+    otherLine.textContent = `The page also mentions ${otherMentions
+      .map(candidate => `${candidate.country} (${candidate.sourceLabel}${candidate.tier === 'inferred' ? ', inferred' : ''})`)
+      .join(', ')}`;
+    otherLine.style.margin = '2px 0 0 0';
+    otherLine.style.fontStyle = 'italic';
+    sourceInfo.appendChild(otherLine);
+  }
+
+  return sourceInfo;
+}
+
+/**
+ * Build the lines saying how the product ships and why: what the buy box
+ * showed, the user's correction, or the default when the page doesn't say
+ * @param {Object} productData - Product data with shipmentMode, shipmentDecision and overrides
+ * @returns {HTMLElement} - Shipment element
+ */
+function createShipmentInfo(productData) {
+  const shipmentMode = resolveShipmentMode(productData);
+  const decision = productData.shipmentDecision;
+  const shipmentInfo = document.createElement('div');
+  shipmentInfo.style.cssText = `
+    margin: 5px 0 0 0;
+    font-size: 12px;
+    color: #555;
+  `;
+
+  const modeLine = document.createElement('p');
+  const sourceLabels = { override: ' (your correction)', detected: '', default: ' (assumed)' };
+  modeLine.textContent = `Shipment: ${shipmentMode.label}${sourceLabels[shipmentMode.source]}`;
+  modeLine.style.margin = '0';
+  modeLine.style.color = '#333';
+  shipmentInfo.appendChild(modeLine);
+
+  const reasonLine = document.createElement('p');
+  if (shipmentMode.source === 'detected') {
+    reasonLine.textContent = `${decision.basis}. ${decision.reason}.`;
+  } else if (shipmentMode.source === 'override') {
+    reasonLine.textContent = decision
+      ? `${shipmentMode.description}. The page suggests ${TARIFF_RATE_SCHEDULE.shipmentModes[decision.mode].label.toLowerCase()} ("${decision.basis}").`
+      : `${shipmentMode.description}.`;
+  } else {
+    reasonLine.textContent = `The page doesn't say how it ships, so it is assumed to be ${shipmentMode.label.toLowerCase()}, ` +
+                             'like most listings. Pick the shipment mode below if it ships another way.';
+  }
+  reasonLine.style.margin = '2px 0 0 0';
+  shipmentInfo.appendChild(reasonLine);
+
+  return shipmentInfo;
+}
+
+/**
+ * Build the HTS classification line with the official rate of duty
+ * @param {Object} tariffData - Tariff data with htsCode, htsDescription, mfnRateText and specificDuty
+ * @returns {HTMLElement} - Classification element
+ */
+function createHTSInfo(tariffData) {
+  const htsInfo = document.createElement('div');
+  htsInfo.style.cssText = `
+    margin: 5px 0 0 0;
+    font-size: 12px;
+    color: #555;
+  `;
+
+  // Descriptions carry every parent line of the schedule, so show the last one
+  // and keep the full text for the tooltip
+  const shortDescription = tariffData.htsDescription.split(': ').pop();
+  const htsLine = document.createElement('p');
+  htsLine.textContent = `HTS ${tariffData.htsCode}: ${shortDescription}`;
+  htsLine.title = tariffData.htsDescription;
+  htsLine.style.margin = '0';
+  htsInfo.appendChild(htsLine);
+
+  if (tariffData.mfnRateText) {
+    // A dataset built from a sample of the schedule doesn't carry official rates
+    const rateLine = document.createElement('p');
+    rateLine.textContent = tariffData.isSampleHTSRate
+      ? `Rate of duty: ${tariffData.mfnRateText} (from the sample of the schedule bundled for testing, not the official rate)`
+      : `Rate of duty: ${tariffData.mfnRateText}`;
+    rateLine.style.margin = '2px 0 0 0';
+    htsInfo.appendChild(rateLine);
+  }
+
+  if (tariffData.specificDuty) {
+    const specificNote = document.createElement('p');
+    specificNote.textContent = `Plus a specific duty of ${tariffData.specificDuty}, which is not included in this estimate`;
+    specificNote.style.margin = '2px 0 0 0';
+    specificNote.style.fontStyle = 'italic';
+    htsInfo.appendChild(specificNote);
+  }
+
+  return htsInfo;
+}
+
+/**
+ * Build the note shown when the HTS dataset has no official rate for the
+ * code, so the base duty is a rough rate for its chapter
+ * @param {Object} tariffData - Tariff data with htsCode and isHTSDatasetSubset
+ * @returns {HTMLElement} - Note element
+ */
+function createApproximateRateNote(tariffData) {
+  const note = document.createElement('p');
+  note.textContent = tariffData.isHTSDatasetSubset
+    ? `No rate for HTS ${tariffData.htsCode}: the bundled HTS dataset is only a sample of the schedule, ` +
+      'so the base duty is an approximate rate for its chapter.'
+    : `No single official rate for HTS ${tariffData.htsCode}, so the base duty is an approximate rate for its chapter.`;
+  note.style.cssText = `
+    margin: 2px 0 0 0;
+    font-size: 12px;
+    color: #b36b00;
+    font-style: italic;
+  `;
+  return note;
+}
+
+/**
+ * Build the classification confidence line, the top three candidate codes
+ * and a warning when the classification is uncertain
+ * @param {Object} classification - Classification from the tariff engine
+ * @returns {HTMLElement} - Classification element
+ */
+function createClassificationInfo(classification) {
+  const classificationInfo = document.createElement('div');
+  classificationInfo.style.cssText = `
+    margin: 8px 0 0 0;
+    font-size: 12px;
+    color: #555;
+  `;
+
+  if (classification.candidates.length === 0) {
+    const warning = document.createElement('p');
+    warning.textContent = 'We could not classify this product from its category or title, so the estimate uses an average rate. Enter the HTS code below for a better estimate.';
+    warning.style.margin = '0';
+    warning.style.color = '#e77600'; // Amazon's warning orange
+    classificationInfo.appendChild(warning);
+    return classificationInfo;
+  }
+
+  const confidenceLine = document.createElement('p');
+  confidenceLine.textContent = `Classification confidence: ${(classification.confidence * 100).toFixed(0)}%`;
+  confidenceLine.style.margin = '0';
+  classificationInfo.appendChild(confidenceLine);
+
+  if (classification.isLowConfidence) {
+    const warning = document.createElement('p');
+    warning.textContent = 'Low confidence: this product may belong under a different HTS code. Check the candidates below or enter the right code.';
+    warning.style.margin = '4px 0 0 0';
+    warning.style.color = '#e77600'; // Amazon's warning orange
+    classificationInfo.appendChild(warning);
+  }
+
+  const candidateList = document.createElement('ol');
+  candidateList.style.cssText = `
+    margin: 4px 0 0 0;
+    padding-left: 18px;
+  `;
+  classification.candidates.slice(0, 3).forEach(candidate => {
+    const item = document.createElement('li');
+    item.textContent = `${candidate.htsCode}${candidate.description ? ' ' + candidate.description : ''} (${(candidate.confidence * 100).toFixed(0)}%)`;
+    item.style.margin = '2px 0';
+
+    const evidence = document.createElement('div');
+    evidence.textContent = `Matched ${candidate.evidence.join(', ')}`;
+    evidence.style.cssText = `
+      font-size: 11px;
+      color: #888;
+    `;
+    item.appendChild(evidence);
+
+    candidateList.appendChild(item);
+  });
+  classificationInfo.appendChild(candidateList);
+
+  return classificationInfo;
+}
+
+/**
+ * Build the itemized list of duties, plus any duties excluded by stacking rules
+ * @param {Array<Object>} components - Tariff components with label, rate, share and amount
+ * @param {Array<Object>} exclusions - Duties that were dropped, with the reason
+ * @returns {HTMLElement|null} - Breakdown element, or null when there is nothing to itemize
+ */
+function createTariffBreakdown(components, exclusions) {
+  if (components.length === 0 && exclusions.length === 0) return null;
+  
+  const breakdown = document.createElement('div');
+  breakdown.style.cssText = `
+    margin: 0 0 10px 0;
+    font-size: 12px;
+    color: #666;
+  `;
+  
+  components.forEach(component => {
+    const row = document.createElement('div');
+    row.style.cssText = `
+      display: flex;
+      justify-content: space-between;
+      gap: 10px;
+      margin: 3px 0;
+    `;
+    
+    const label = document.createElement('span');
+    label.textContent = `${component.label} (${formatComponentRate(component)})`;
+    
+    const amount = document.createElement('span');
+    amount.textContent = `$${component.amount.toFixed(2)}`;
+    amount.style.whiteSpace = 'nowrap';
+    
+    row.appendChild(label);
+    row.appendChild(amount);
+    breakdown.appendChild(row);
+  });
+  
+  exclusions.forEach(exclusion => {
+    const excluded = document.createElement('p');
+    excluded.textContent = `${exclusion.partial ? 'Partly excluded' : 'Not applied'}: ${exclusion.label}. ${exclusion.reason}.`;
+    excluded.style.cssText = `
+      margin: 3px 0;
+      font-style: italic;
+      color: #999;
+    `;
+    breakdown.appendChild(excluded);
+  });
+  
+  return breakdown;
+}
+
+/**
+ * Render the tariff breakdown into the modal's tariff information block
+ * @param {HTMLElement} tariffInfo - Container for the tariff information
+ * @param {Object} productData - Product data
+ * @param {Object} tariffData - Tariff information
+ */
+function updateTariffDisplay(tariffInfo, productData, tariffData) {
+  const tariffTitle = document.createElement('p');
+  tariffTitle.textContent = 'Tariff Information';
+  tariffTitle.style.margin = '0 0 5px 0';
+  tariffTitle.style.fontWeight = 'bold';
+  
+  const tariffStatus = document.createElement('p');
+  tariffStatus.style.margin = '5px 0';
+  tariffStatus.style.fontWeight = 'bold';
+  
+  if (tariffData.isSubjectToTariff) {
+    tariffStatus.textContent = 'Subject to tariff tax';
+    tariffStatus.style.color = '#B12704'; // Amazon's price red
+    
+    // State how much of the tariff the price is assumed to include
+    const tariffNote = document.createElement('p');
+    tariffNote.textContent = tariffData.passThrough
+      ? tariffData.passThrough.description
+      : 'The tariff is already built into the Amazon price.';
+    tariffNote.style.fontWeight = 'bold';
+    tariffNote.style.margin = '10px 0';
+    tariffInfo.appendChild(tariffNote);
+    
+    // Show special note for flat fee cases where the fee exceeds the price
+    if (tariffData.specialPriceLogic) {
+      const specialNote = document.createElement('p');
+      specialNote.textContent = `Note: This product would be subject to a $${tariffData.scheduledFlatFee} flat fee for direct imports, but this extension shows an approximation of how the tariff affects the Amazon price you see.`;
+      specialNote.style.cssText = `
+        margin: 10px 0;
+        padding: 8px;
+        background-color: #fff8e6;
+        border-radius: 4px;
+        font-size: 12px;
+        color: #e77600;
+      `;
+      tariffInfo.appendChild(specialNote);
+    }
+    
+    // Duty is charged on the customs value, which is less than the price
+    // unless the product is sent straight to the shopper
+    const customsValue = document.createElement('p');
+    customsValue.textContent = tariffData.isDirectImport
+      ? `Estimated customs value: ${tariffData.customsValue.toFixed(2)} (the price paid, declared for a direct import)`
+      : `Estimated customs value: ${tariffData.customsValue.toFixed(2)} ` +
+        `(${(tariffData.customsValueRatio * 100).toFixed(0)}% of the price, ` +
+        `${tariffData.isCustomCustomsValueRatio ? 'your ratio' : 'typical'} for ${tariffData.customsValueCategory.toLowerCase()})`;
+    customsValue.style.margin = '5px 0';
+    tariffInfo.appendChild(customsValue);
+    
+    const tariffAmount = document.createElement('p');
+    
+    // Handle flat fee display. The flat fee is charged per item, whatever
+    // the customs value
+    if (tariffData.isUsingFlatFee) {
+      if (tariffData.specialPriceLogic) {
+        // For special pricing logic cases
+        tariffAmount.textContent = `Estimated flat postal fee: ${tariffData.tariffAmount.toFixed(2)} (approximate, in place of the $${tariffData.scheduledFlatFee} fee per item)`;
+      } else {
+        // For normal flat fee cases
+        tariffAmount.textContent = `Flat postal fee per item: ${tariffData.flatFeeAmount.toFixed(2)}`;
+      }
+    } else {
+      // For percentage-based tariffs
+      tariffAmount.textContent = `Estimated duty on the customs value: ${tariffData.tariffAmount.toFixed(2)}`;
+    }
+    
+    tariffAmount.style.cssText = `
+      margin: 5px 0;
+      color: #B12704;
+      font-weight: bold;
+    `;
+    tariffInfo.appendChild(tariffAmount);
+    
+    // Create rate display
+    const tariffRate = document.createElement('p');
+    
+    // Customize rate display based on case
+    if (tariffData.isUsingFlatFee) {
+      if (tariffData.specialPriceLogic) {
+        // For special logic cases, show equivalent percentage
+        tariffRate.textContent = `(Equivalent to approximately ${(tariffData.tariffRate * 100).toFixed(0)}% of the customs value)`;
+      } else {
+        // For normal flat fee cases
+        tariffRate.textContent = `(Standard rate: ${(tariffData.scheduledRate * 100).toFixed(1)}%, using $${tariffData.scheduledFlatFee} flat fee minimum)`;
+      }
+    } else {
+      // For percentage-based tariffs
+      tariffRate.textContent = `(${(tariffData.tariffRate * 100).toFixed(1)}% of the customs value)`;
+    }
+    
+    tariffRate.style.cssText = `
+      margin: 0 0 10px 0;
+      font-size: 12px;
+      color: #666;
+    `;
+    tariffInfo.appendChild(tariffRate);
+    
+    // What the duty means for the price on the page
+    const passThrough = document.createElement('p');
+    const passedOn = tariffData.passThrough ? tariffData.passThrough.amount : tariffData.tariffAmount;
+    passThrough.textContent = `Implied retail pass-through: ${passedOn.toFixed(2)}, ` +
+                              `${(tariffData.retailShare * 100).toFixed(1)}% of the price` +
+                              `${tariffData.passThrough ? ` (${tariffData.passThrough.label.toLowerCase()})` : ''}`;
+    passThrough.style.margin = '5px 0';
+    tariffInfo.appendChild(passThrough);
+    
+    const preTariffPrice = document.createElement('p');
+    preTariffPrice.textContent = `Estimated price before tariff: ${tariffData.preTariffPrice.toFixed(2)}`;
+    preTariffPrice.style.margin = '5px 0 10px 0';
+    tariffInfo.appendChild(preTariffPrice);
+
+    // Say when import fees deposits seen at checkout corrected the estimate
+    if (tariffData.calibration) {
+      const calibrationNote = document.createElement('p');
+      calibrationNote.textContent = `Adjusted from $${tariffData.calibration.uncalibratedAmount.toFixed(2)} to match the import fees ` +
+                                    `deposits you were charged at checkout. ${describeCalibrationFactor(tariffData.calibration)}.`;
+      calibrationNote.style.cssText = `
+        margin: 0 0 10px 0;
+        font-size: 12px;
+        color: #666;
+        font-style: italic;
+      `;
+      tariffInfo.appendChild(calibrationNote);
+    }
+
+    // Itemized breakdown of every duty in the stack
+    const breakdown = createTariffBreakdown(tariffData.components || [], tariffData.exclusions || []);
+    if (breakdown) {
+      tariffInfo.appendChild(breakdown);
+    }
+
+    // Final price (which is the displayed Amazon price)
+    const amazonPrice = document.createElement('p');
+    const priceLabel = productData.overrides && 'price' in productData.overrides
+      ? 'your correction'
+      : (productData.priceDetails ? productData.priceDetails.sourceLabel : 'what you see');
+    amazonPrice.textContent = `Price with tariff (${priceLabel}): ${productData.price.toFixed(2)}`;
+    amazonPrice.style.fontWeight = 'bold';
+    amazonPrice.style.margin = '10px 0 5px 0';
+    tariffInfo.appendChild(amazonPrice);
+  } else {
+    tariffStatus.textContent = 'Not subject to tariff tax';
+    tariffStatus.style.color = '#007600'; // Amazon's success green
+  }
+  
+  tariffInfo.appendChild(tariffTitle);
+  tariffInfo.appendChild(tariffStatus);
+}
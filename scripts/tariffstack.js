@@ -0,0 +1,264 @@
+/**
+ * Amazon Tariff Checker
+ * Copyright (c) 2025 Dual Lens (https://duallens.substack.com)
+ * This code is licensed under the MIT License.
+ * For the full license text, see the LICENSE file in the project repository
+ * or visit: https://opensource.org/licenses/MIT
+ * DISCLAIMER: This extension is not affiliated with Amazon.com. It only processes
+ * information visible on the current page and does not collect or transmit user data.
+ * All analysis occurs locally within the browser.
+ */
+
+/**
+ * Tariff Stacking Engine
+ *
+ * Composes every duty that applies to a product - the MFN base rate, the
+ * reciprocal or fentanyl-related IEEPA country tariffs, Section 232 and
+ * Section 301 - into an ordered list of components, applying the stacking
+ * and exclusion rules from the rate schedule (rateschedule.js).
+ *
+ * Composition happens in two steps so the rates can be cached independently
+ * of the price: collectTariffComponents works out which duties apply and at
+ * what rate, and finalizeTariffStack turns those rates into amounts on the
+ * customs value estimated by customsvalue.js.
+ */
+
+/**
+ * Work out which duties apply to a product and at what rate
+ * @param {Object} productData - Product data (countryOfOrigin, price, category, htsCode, attributes, mfnRate)
+ * @param {Date} asOf - Date to calculate the rates for (defaults to today)
+ * @returns {Object} - Rate components, exclusions and the country rule they came from
+ */
+function collectTariffComponents(productData, asOf = new Date()) {
+  const { programs, stacking } = TARIFF_RATE_SCHEDULE;
+  const shipmentMode = resolveShipmentMode(productData);
+  const { countryKey, countryName, rule } = lookupScheduledRate(productData, shipmentMode.shipment, asOf);
+
+  // Every duty that could apply, before stacking rules are applied. `share`
+  // is the fraction of the product's value the duty is charged on.
+  const candidates = [];
+
+  if (productData.mfnRate) {
+    candidates.push({ id: 'mfn', label: programs.mfn, rate: productData.mfnRate, share: 1 });
+  }
+
+  const ruleProgram = rule.program || 'reciprocal';
+  candidates.push({
+    id: ruleProgram,
+    label: programs[ruleProgram],
+    rate: rule.rate,
+    flatFee: rule.flatFee || 0,
+    effectiveFrom: rule.effectiveFrom,
+    share: 1
+  });
+
+  getScheduledSurcharges(productData, asOf).forEach(surcharge => {
+    candidates.push({ id: surcharge.program, label: programs[surcharge.program], rate: surcharge.rate, share: 1 });
+  });
+
+  const section232 = lookupSection232(productData, asOf);
+  if (section232) {
+    candidates.push({ id: 'section232', label: section232.label, rate: section232.rate,
+                      share: section232.coveredShare, htsPrefix: section232.htsPrefix });
+  }
+
+  const section301 = lookupSection301(productData, asOf);
+  if (section301) {
+    candidates.push({ id: 'section301', label: `Section 301 ${section301.list}`, rate: section301.rate,
+                      share: 1, htsPrefix: section301.htsPrefix });
+  }
+
+  // Apply the exclusion rules
+  const exclusions = [];
+  stacking.exclusions.forEach(exclusion => {
+    const trigger = candidates.find(candidate => candidate.id === exclusion.when && candidate.rate > 0);
+    if (!trigger) return;
+    if (exclusion.countries && !exclusion.countries.includes(countryKey)) return;
+
+    candidates.forEach(candidate => {
+      if (!exclusion.excludes.includes(candidate.id) || candidate.share === 0 || candidate.rate === 0) return;
+
+      // Only the share of the value the trigger covers is excluded
+      const remainingShare = exclusion.coveredContentOnly ? 1 - trigger.share : 0;
+      candidate.share = Math.min(candidate.share, remainingShare);
+      exclusions.push({ id: candidate.id, label: candidate.label, partial: remainingShare > 0,
+                        excludedBy: exclusion.when, reason: exclusion.reason });
+    });
+  });
+
+  // Order the remaining duties the way the schedule lists its programs. Each
+  // keeps its statutory rate; the share says how much of the value it's on.
+  const order = Object.keys(programs);
+  const components = candidates
+    .filter(candidate => candidate.share > 0 && candidate.rate > 0)
+    .sort((a, b) => order.indexOf(a.id) - order.indexOf(b.id));
+
+  return {
+    countryKey,
+    countryName,
+    shipmentMode: shipmentMode.id,
+    shipmentModeLabel: shipmentMode.label,
+    isPostalShipment: shipmentMode.shipment === 'postal',
+    isDirectImport: shipmentMode.directImport,
+    // Whether the product is duty free also depends on its price
+    deMinimis: findDeMinimisExemption(countryKey, shipmentMode, asOf),
+    ruleProgram,
+    ruleMessage: rule.message,
+    components,
+    exclusions,
+    scheduleVersion: TARIFF_RATE_SCHEDULE.version
+  };
+}
+
+/**
+ * Turn a set of rate components into amounts for a given listed price. The
+ * duties are charged on the customs value, not the listed price, except on
+ * a direct import, and none are charged on one the de minimis exemption covers.
+ * @param {Object} collected - Result of collectTariffComponents
+ * @param {number} price - Listed price (assumed to already include the tariff)
+ * @param {Object} customs - Customs value estimate from estimateCustomsValue
+ * @returns {Object} - Itemized tariff breakdown
+ */
+function finalizeTariffStack(collected, price, customs) {
+  const components = collected.components.map(component => ({ ...component }));
+  const totalRate = components.reduce((total, component) => total + component.rate * component.share, 0);
+  // A direct import is declared at what the shopper pays for it, so its
+  // duties and the flat-fee comparison use the price
+  const customsValue = collected.isDirectImport ? price : customs.customsValue;
+  const deMinimis = collected.deMinimis && price <= collected.deMinimis.threshold ? collected.deMinimis : null;
+
+  let tariffAmount = deMinimis ? 0 : customsValue * totalRate;
+  let isUsingFlatFee = false;
+  let flatFeeAmount = 0;
+  let specialPriceLogic = false;
+  let message;
+
+  components.forEach(component => {
+    component.amount = deMinimis ? 0 : customsValue * component.rate * component.share;
+  });
+
+  // Flat fee duties charge the higher of the percentage and the per-item fee
+  const flatFeeComponent = deMinimis ? null : components.find(component => component.flatFee);
+  if (deMinimis) {
+    message = `This product from ${collected.countryName} ships straight to the shopper, so at $${price.toFixed(2)} it ` +
+              `enters duty free under the $${deMinimis.threshold} de minimis exemption`;
+  } else if (flatFeeComponent && flatFeeComponent.flatFee >= tariffAmount) {
+    const flatFee = flatFeeComponent.flatFee;
+    isUsingFlatFee = true;
+
+    if (flatFee > price) {
+      // The flat fee would exceed the price, so we can't calculate a sensible
+      // pre-tariff price. Assume the tariff is 70% of the price instead.
+      // Note: These values are chosen for sensible display, not exact calculation
+      specialPriceLogic = true;
+      tariffAmount = price * 0.7;
+      flatFeeAmount = tariffAmount;
+      message = `This product from ${collected.countryName} would normally be subject to a $${flatFee} flat fee tariff, but since the product price is only $${price.toFixed(2)}, the tariff shown is an approximation. The actual $${flatFee} flat fee would be applied at customs for direct imports.`;
+    } else {
+      tariffAmount = flatFee;
+      flatFeeAmount = flatFee;
+      message = `This product from ${collected.countryName} is subject to a $${flatFee} flat fee as a postal shipment under the trade policy in force since ${formatScheduleDate(flatFeeComponent.effectiveFrom)}`;
+    }
+
+    flatFeeComponent.amount = tariffAmount;
+  } else {
+    message = describeTariffStack(collected, components);
+  }
+
+  // The listed price is assumed to pass the whole duty on to the shopper,
+  // until passthrough.js applies the user's assumption. A duty larger than
+  // the price can't all be in it.
+  const preTariffPrice = Math.max(0, price - tariffAmount);
+
+  return {
+    countryKey: collected.countryKey,
+    countryName: collected.countryName,
+    shipmentMode: collected.shipmentMode,
+    shipmentModeLabel: collected.shipmentModeLabel,
+    isPostalShipment: collected.isPostalShipment,
+    isDeMinimis: !!deMinimis,
+    isSubjectToTariff: tariffAmount > 0,
+    // The rate the total tariff works out to on the customs value
+    tariffRate: customsValue > 0 ? tariffAmount / customsValue : totalRate,
+    preTariffPrice,
+    tariffAmount,
+    customsValue,
+    customsValueRatio: collected.isDirectImport ? 1 : customs.ratio,
+    customsValueCategory: customs.categoryLabel,
+    isCustomCustomsValueRatio: !collected.isDirectImport && customs.isCustomRatio,
+    isDirectImport: !!collected.isDirectImport,
+    // How much of the listed price the duty makes up
+    retailShare: price > 0 ? tariffAmount / price : 0,
+    components,
+    exclusions: collected.exclusions,
+    message,
+    isUsingFlatFee,
+    flatFeeAmount,
+    specialPriceLogic,
+    scheduledRate: flatFeeComponent ? flatFeeComponent.rate : totalRate,
+    scheduledFlatFee: flatFeeComponent ? flatFeeComponent.flatFee : 0,
+    scheduleVersion: collected.scheduleVersion
+  };
+}
+
+/**
+ * Compose the full itemized tariff stack for a product
+ * @param {Object} productData - Product data (countryOfOrigin, price, category, htsCode, attributes, mfnRate)
+ * @param {Date} asOf - Date to calculate the rates for (defaults to today)
+ * @returns {Object} - Itemized tariff breakdown
+ */
+function composeTariffStack(productData, asOf = new Date()) {
+  return finalizeTariffStack(collectTariffComponents(productData, asOf), productData.price || 0,
+                             estimateCustomsValue(productData, productData.htsCode));
+}
+
+/**
+ * Describe the rate of a tariff component, e.g. "25%" or "25% on 50% of value"
+ * @param {Object} component - Tariff component with its statutory rate and share
+ * @returns {string} - Rate description
+ */
+function formatComponentRate(component) {
+  const rate = `${parseFloat((component.rate * 100).toFixed(1))}%`;
+  const share = component.share === undefined ? 1 : component.share;
+  return share < 1 ? `${rate} on ${(share * 100).toFixed(0)}% of value` : rate;
+}
+
+/**
+ * Build the summary message for a percentage-based tariff stack
+ * @param {Object} collected - Result of collectTariffComponents
+ * @param {Array<Object>} components - Components with amounts
+ * @returns {string} - Summary message
+ */
+function describeTariffStack(collected, components) {
+  const section232 = components.find(component => component.id === 'section232');
+  const ruleComponent = components.find(component => component.id === collected.ruleProgram);
+  let message = collected.ruleMessage;
+
+  if (section232) {
+    const rate = formatComponentRate({ rate: section232.rate });
+    const replaced = collected.exclusions
+      .filter(exclusion => exclusion.excludedBy === 'section232')
+      .map(exclusion => exclusion.label)
+      .join(' and ') || 'no other tariff';
+    message = section232.share < 1
+      ? `An estimated ${(section232.share * 100).toFixed(0)}% of this product's value is metal content subject to the ${rate} ${section232.label} duty instead of the ${replaced}`
+      : `This product is subject to the ${rate} ${section232.label} duty (HTS ${section232.htsPrefix}), which replaces the ${replaced}`;
+  }
+
+  // Mention every other duty stacked on top of the main one. A duty the
+  // metal content is excluded from is only charged on the rest of the value.
+  const partlyExcluded = collected.exclusions
+    .filter(exclusion => exclusion.excludedBy === 'section232' && exclusion.partial)
+    .map(exclusion => exclusion.id);
+  components
+    .filter(component => component !== section232 && (section232 || component !== ruleComponent))
+    .forEach(component => {
+      const percent = `${(component.share * 100).toFixed(0)}%`;
+      let share = '';
+      if (partlyExcluded.includes(component.id)) share = ` on the non-metal ${percent}`;
+      else if (component.share < 1) share = ` on ${percent} of value`;
+      message += `, plus ${formatComponentRate({ rate: component.rate })} ${component.label}${share}`;
+    });
+
+  return message;
+}
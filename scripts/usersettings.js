@@ -0,0 +1,58 @@
+/**
+ * Amazon Tariff Checker
+ * Copyright (c) 2025 Dual Lens (https://duallens.substack.com)
+ * This code is licensed under the MIT License.
+ * For the full license text, see the LICENSE file in the project repository
+ * or visit: https://opensource.org/licenses/MIT
+ * DISCLAIMER: This extension is not affiliated with Amazon.com. It only processes
+ * information visible on the current page and does not collect or transmit user data.
+ * All analysis occurs locally within the browser.
+ */
+
+// usersettings.js - Extension settings chosen in the popup, kept in
+// chrome.storage.local and read by the content scripts and the popup.
+
+var USER_SETTINGS_STORAGE_KEY = 'userSettings';
+
+// Settings used until the user changes them
+var DEFAULT_USER_SETTINGS = {
+  // Let a country guessed from the brand, title or manufacturer address
+  // drive the estimate when the page doesn't state the origin
+  useInferredOrigin: false,
+  // Correct estimates with the import fees deposits seen at checkout
+  // (calibration.js), using only orders recorded after calibrationResetAt
+  useCalibration: true,
+  calibrationResetAt: null,
+  // Retail-to-customs-value ratios replacing the defaults in customsvalue.js,
+  // by category id
+  customsValueRatios: {},
+  // How much of the duty the price is assumed to carry (passthrough.js):
+  // 'absorb', 'full', 'markup' or 'custom' with passThroughPercent
+  passThroughMode: 'full',
+  passThroughPercent: 100
+};
+
+/**
+ * Read the user's settings
+ * @returns {Promise<Object>} - Settings, with defaults for anything not set
+ */
+async function getUserSettings() {
+  try {
+    const stored = await chrome.storage.local.get(USER_SETTINGS_STORAGE_KEY);
+    return { ...DEFAULT_USER_SETTINGS, ...(stored[USER_SETTINGS_STORAGE_KEY] || {}) };
+  } catch (error) {
+    console.error('Error reading settings:', error);
+    return { ...DEFAULT_USER_SETTINGS };
+  }
+}
+
+/**
+ * Change some of the user's settings
+ * @param {Object} changes - Settings to change
+ * @returns {Promise<Object>} - All settings after the change
+ */
+async function saveUserSettings(changes) {
+  const settings = { ...(await getUserSettings()), ...changes };
+  await chrome.storage.local.set({ [USER_SETTINGS_STORAGE_KEY]: settings });
+  return settings;
+}
@@ -0,0 +1,173 @@
+/**
+ * Amazon Tariff Checker
+ * Copyright (c) 2025 Dual Lens (https://duallens.substack.com)
+ * This code is licensed under the MIT License.
+ * For the full license text, see the LICENSE file in the project repository
+ * or visit: https://opensource.org/licenses/MIT
+ * DISCLAIMER: This extension is not affiliated with Amazon.com. It only processes
+ * information visible on the current page and does not collect or transmit user data.
+ * All analysis occurs locally within the browser.
+ */
+
+// variantwatcher.js - Keeps the tariff modal in step with the variant the
+// shopper picks. Choosing another size or color in Amazon's variant selector
+// (the "twister") redraws the buy box with a new price and often a new
+// ASIN. The watcher waits for the page to settle, and if the ASIN, price or
+// selection changed, re-reads the product and refreshes the open modal in
+// place. It relies on extractProductData from the content script that
+// started it.
+
+// How long the page must stay unchanged before the estimate is refreshed,
+// and the longest a busy page can put the refresh off
+var VARIANT_REFRESH_DELAY_MS = 750;
+var VARIANT_REFRESH_MAX_WAIT_MS = 3000;
+
+// Selected variant labels, e.g. "Size: Large" and "Color: Blue"
+var VARIANT_SELECTION_SELECTOR = '#twister .selection, #twister_feature_div .selection, ' +
+                                 '[id^="inline-twister-expanded-dimension-text"]';
+
+// The running watcher ({ observer, timer, waitingSince, signature }), so there is only one
+// even when both the content script and the popup-injected script start it. The
+// popup injects this file again into pages that already run it, so a watcher
+// that is already running is kept rather than forgotten.
+var variantWatcher = window.variantWatcher || null;
+
+/**
+ * Summarize what identifies the shown variant: its ASIN, its prices and the
+ * selected options
+ * @returns {string} - Signature that changes when the variant does
+ */
+function readVariantSignature() {
+  const asinInput = document.querySelector('#ASIN, input[name="ASIN"]');
+  const prices = extractProductPrice();
+  const selections = Array.from(document.querySelectorAll(VARIANT_SELECTION_SELECTOR))
+    .map(element => element.textContent.replace(/\s+/g, ' ').trim());
+
+  return [
+    extractASIN(),
+    asinInput ? asinInput.value : '',
+    prices.price,
+    prices.range ? `${prices.range.low}-${prices.range.high}` : '',
+    ...selections
+  ].join('|');
+}
+
+/**
+ * List the ASINs of the product's variants, from the links and data
+ * attributes of the variant selector
+ * @returns {Array<string>} - Variant ASINs
+ */
+function readVariantASINs() {
+  const asins = new Set();
+  document.querySelectorAll('#twister [data-asin], #twister [data-defaultasin], #twister [data-dp-url], ' +
+                            '#twister_feature_div [data-asin], #twister_feature_div [data-dp-url]').forEach(element => {
+    const asin = element.getAttribute('data-asin') || element.getAttribute('data-defaultasin');
+    if (asin) asins.add(asin.toUpperCase());
+    const urlMatch = (element.getAttribute('data-dp-url') || '').match(/\/dp\/([A-Z0-9]{10})/i);
+    if (urlMatch) asins.add(urlMatch[1].toUpperCase());
+  });
+  return Array.from(asins);
+}
+
+/**
+ * Check whether a mutation happened inside the tariff modal, which changes
+ * whenever it is refreshed and must not trigger another refresh
+ * @param {MutationRecord} mutation - Mutation from the observer
+ * @returns {boolean} - Whether the mutation is the modal's own
+ */
+function isTariffModalMutation(mutation) {
+  const element = mutation.target.nodeType === Node.ELEMENT_NODE ? mutation.target : mutation.target.parentElement;
+  return !!(element && element.closest('#tariff-tax-modal'));
+}
+
+/**
+ * Re-read the product and refresh the open modal, if there is one
+ * @returns {Promise<void>}
+ */
+async function refreshModalForVariant() {
+  if (!document.getElementById('tariff-tax-modal')) return;
+
+  const productData = extractProductData();
+  if (productData.error) {
+    console.error('Error in product data after variant change:', productData.error);
+    return;
+  }
+
+  // The new variant may have its own ASIN and its own saved corrections
+  const correctedData = await loadProductOverrides(await applyOriginSetting(productData));
+  const tariffData = await requestTariffInfo(correctedData);
+  console.log('Tariff recalculated for the selected variant:', tariffData);
+  refreshTariffModal(correctedData, tariffData);
+}
+
+/**
+ * Refresh the estimate if the variant changed since the last check. While
+ * the user is typing in the modal the refresh waits, so a correction in
+ * progress isn't thrown away.
+ */
+function checkVariantChange() {
+  variantWatcher.timer = null;
+  variantWatcher.waitingSince = null;
+
+  const modal = document.getElementById('tariff-tax-modal');
+  if (modal && modal.contains(document.activeElement) && /^(INPUT|SELECT)$/.test(document.activeElement.tagName)) {
+    variantWatcher.timer = setTimeout(checkVariantChange, VARIANT_REFRESH_DELAY_MS);
+    return;
+  }
+
+  const signature = readVariantSignature();
+  if (signature === variantWatcher.signature) return;
+
+  console.log('Variant changed, refreshing tariff estimate');
+  variantWatcher.signature = signature;
+  refreshModalForVariant().catch(error => {
+    console.error('Error refreshing tariff estimate for the variant:', error);
+  });
+}
+
+/**
+ * Start watching the variant selector and buy box for changes. Calling it
+ * again while a watcher is running does nothing.
+ */
+function watchVariantChanges() {
+  if (variantWatcher) return;
+
+  variantWatcher = { observer: null, timer: null, waitingSince: null, signature: readVariantSignature() };
+
+  // Amazon replaces whole sections of the page when a variant is picked,
+  // so the observer sits on a container that stays put
+  const root = document.getElementById('dp') || document.body;
+  variantWatcher.observer = new MutationObserver(mutations => {
+    if (mutations.every(isTariffModalMutation)) return;
+
+    // Carousels and ads keep changing the page, so the wait is capped
+    const now = Date.now();
+    if (variantWatcher.waitingSince === null) variantWatcher.waitingSince = now;
+    if (now - variantWatcher.waitingSince >= VARIANT_REFRESH_MAX_WAIT_MS) return;
+
+    clearTimeout(variantWatcher.timer);
+    variantWatcher.timer = setTimeout(checkVariantChange, VARIANT_REFRESH_DELAY_MS);
+  });
+  variantWatcher.observer.observe(root, {
+    childList: true,
+    subtree: true,
+    characterData: true,
+    attributes: true,
+    attributeFilter: ['class', 'value', 'data-asin']
+  });
+
+  console.log('Watching for variant changes');
+}
+
+/**
+ * Stop watching for variant changes, e.g. when the page moves on to another
+ * product
+ */
+function stopWatchingVariantChanges() {
+  if (!variantWatcher) return;
+
+  variantWatcher.observer.disconnect();
+  clearTimeout(variantWatcher.timer);
+  variantWatcher = null;
+  console.log('Stopped watching for variant changes');
+}
@@ -0,0 +1,197 @@
+/**
+ * Amazon Tariff Checker
+ * Copyright (c) 2025 Dual Lens (https://duallens.substack.com)
+ * This code is licensed under the MIT License.
+ * For the full license text, see the LICENSE file in the project repository
+ * or visit: https://opensource.org/licenses/MIT
+ * DISCLAIMER: This extension is not affiliated with Amazon.com. It only processes
+ * information visible on the current page and does not collect or transmit user data.
+ * All analysis occurs locally within the browser.
+ */
+
+/**
+ * HTS Dataset Builder
+ *
+ * Rebuilds the bundled data/hts.json.gz from a Harmonized Tariff Schedule
+ * export downloaded from https://hts.usitc.gov/ (the CSV or JSON export of
+ * the full schedule). Runs with plain Node.js and never touches the network:
+ *
+ *   node tools/build-hts-dataset.js <export.csv|export.json> ["<edition name>"]
+ *
+ * Each numbered line of the export becomes an entry keyed by its digits, with
+ * the full description (every parent line joined together) and the general
+ * and special rate text. Statistical suffix lines inherit the rates of the
+ * line they belong to, as they do in the printed schedule.
+ *
+ * The dataset records whether it covers the whole schedule. One built from
+ * anything less, such as the hand-entered tools/fixtures/hts-sample.csv, is
+ * marked as a subset: the extension then labels its rates as sample rates
+ * rather than official ones, and says when a code has no rate because of it.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const zlib = require('zlib');
+
+const OUTPUT_PATH = path.join(__dirname, '..', 'data', 'hts.json.gz');
+
+// The full schedule has lines in chapters 01-97 (77 is reserved) plus 98
+// and 99, so an export with fewer chapters than this is only part of it
+const FULL_SCHEDULE_MIN_CHAPTERS = 95;
+
+/**
+ * Parse CSV text into rows of fields (handles quoted fields and "" escapes)
+ * @param {string} text - CSV text
+ * @returns {Array<Array<string>>} - Rows of fields
+ */
+function parseCSV(text) {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let inQuotes = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+
+    if (inQuotes) {
+      if (char === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      inQuotes = true;
+    } else if (char === ',') {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+
+  if (field || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+
+  return rows.filter(fields => fields.some(value => value.trim()));
+}
+
+/**
+ * Read an export file into a list of schedule lines
+ * @param {string} filePath - Path to the CSV or JSON export
+ * @returns {Array<Object>} - Lines ({ htsno, indent, description, general, special })
+ */
+function readExport(filePath) {
+  const text = fs.readFileSync(filePath, 'utf8').replace(/^\uFEFF/, '');
+
+  if (filePath.toLowerCase().endsWith('.json')) {
+    return JSON.parse(text).map(line => ({
+      htsno: line.htsno || '',
+      indent: parseInt(line.indent, 10) || 0,
+      description: line.description || '',
+      general: line.general || '',
+      special: line.special || ''
+    }));
+  }
+
+  const [header, ...rows] = parseCSV(text);
+  const column = name => {
+    const index = header.findIndex(title => title.trim().toLowerCase() === name);
+    if (index === -1) throw new Error(`Export is missing the "${name}" column`);
+    return index;
+  };
+  const columns = {
+    htsno: column('hts number'),
+    indent: column('indent'),
+    description: column('description'),
+    general: column('general rate of duty'),
+    special: column('special rate of duty')
+  };
+
+  return rows.map(fields => ({
+    htsno: (fields[columns.htsno] || '').trim(),
+    indent: parseInt(fields[columns.indent], 10) || 0,
+    description: (fields[columns.description] || '').trim(),
+    general: (fields[columns.general] || '').trim(),
+    special: (fields[columns.special] || '').trim()
+  }));
+}
+
+/**
+ * Turn schedule lines into dataset entries keyed by HTS digits
+ * @param {Array<Object>} lines - Schedule lines from readExport
+ * @returns {Object} - Entries ({ digits: { d, g, s } })
+ */
+function buildEntries(lines) {
+  const entries = {};
+  // Parent lines of the current line, indexed by indent
+  const parents = [];
+
+  lines.forEach(line => {
+    parents.length = line.indent;
+    parents[line.indent] = line;
+
+    const digits = line.htsno.replace(/\D/g, '');
+    if (!digits) return;
+
+    const ancestors = parents.filter(Boolean);
+    const description = ancestors
+      .map(ancestor => ancestor.description.replace(/:\s*$/, ''))
+      .filter(Boolean)
+      .join(': ');
+
+    // Statistical suffixes and unrated lines take the rates of the nearest rated parent
+    const rated = ancestors.slice().reverse().find(ancestor => ancestor.general);
+
+    const entry = { d: description };
+    if (rated) {
+      entry.g = rated.general;
+      if (rated.special) entry.s = rated.special;
+    }
+    entries[digits] = entry;
+  });
+
+  return entries;
+}
+
+function main() {
+  const [inputPath, edition] = process.argv.slice(2);
+  if (!inputPath) {
+    console.error('Usage: node tools/build-hts-dataset.js <export.csv|export.json> ["<edition name>"]');
+    process.exit(1);
+  }
+
+  const entries = buildEntries(readExport(inputPath));
+  const chapters = new Set(Object.keys(entries).map(digits => digits.substring(0, 2)));
+  const dataset = {
+    edition: edition || path.basename(inputPath),
+    builtAt: new Date().toISOString().substring(0, 10),
+    isSubset: chapters.size < FULL_SCHEDULE_MIN_CHAPTERS,
+    entries
+  };
+
+  const compressed = zlib.gzipSync(JSON.stringify(dataset), { level: 9 });
+  fs.writeFileSync(OUTPUT_PATH, compressed);
+
+  console.log(`Wrote ${Object.keys(entries).length} HTS entries from ${chapters.size} chapters (${compressed.length} bytes) to ${OUTPUT_PATH}`);
+  if (dataset.isSubset) {
+    console.log('The export covers only part of the schedule, so its rates will be labeled as sample rates');
+  }
+}
+
+// The classifier training script reuses the CSV parser
+if (require.main === module) {
+  main();
+}
+
+module.exports = { parseCSV };
@@ -0,0 +1,294 @@
+/**
+ * Amazon Tariff Checker
+ * Copyright (c) 2025 Dual Lens (https://duallens.substack.com)
+ * This code is licensed under the MIT License.
+ * For the full license text, see the LICENSE file in the project repository
+ * or visit: https://opensource.org/licenses/MIT
+ * DISCLAIMER: This extension is not affiliated with Amazon.com. It only processes
+ * information visible on the current page and does not collect or transmit user data.
+ * All analysis occurs locally within the browser.
+ */
+
+/**
+ * HTS Classifier Trainer
+ *
+ * Trains the naive Bayes model in data/hts-classifier.json.gz that
+ * scripts/htsclassifier.js uses to suggest HTS codes. Every rate line of the
+ * bundled HTS dataset is one training document (its full description), and
+ * every row of the labeled listings CSV (Title, Breadcrumb, HTS Number) is
+ * another. Runs with plain Node.js and never touches the network:
+ *
+ *   node tools/train-hts-classifier.js [listings.csv]
+ *
+ * Rebuild the HTS dataset first when it changes, since the model can only
+ * suggest codes that are in it. Each listing is also held out in turn to
+ * calibrate the model's confidence and to pick the confidence below which
+ * the model's best guess isn't used, and the script prints the resulting
+ * accuracy, which is the number to watch when adding rows.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+const zlib = require('zlib');
+const { parseCSV } = require('./build-hts-dataset');
+
+const ROOT = path.join(__dirname, '..');
+const DATASET_PATH = path.join(ROOT, 'data', 'hts.json.gz');
+const LISTINGS_PATH = path.join(ROOT, 'data', 'classifier-training.csv');
+const OUTPUT_PATH = path.join(ROOT, 'data', 'hts-classifier.json.gz');
+
+// Additive smoothing, so a word never seen with a code doesn't rule it out
+const SMOOTHING = 0.5;
+
+// Share of the held-out listings the model must get right among those it
+// is at least minConfidence sure of
+const MIN_MATCH_PRECISION = 0.7;
+
+/**
+ * Load the extension's classifier script, so training splits text exactly
+ * the way classification does and the accuracy check uses the real scorer
+ * @returns {Object} - Script globals (tokenizeClassifierText, predictHTSCodes, ...)
+ */
+function loadClassifierScript() {
+  const context = vm.createContext({});
+  vm.runInContext(fs.readFileSync(path.join(ROOT, 'scripts', 'htsclassifier.js'), 'utf8'), context);
+  return context;
+}
+
+/**
+ * Format the first eight HTS digits the way the schedule prints them
+ * @param {string} digits - HTS code digits
+ * @returns {string} - Dotted 8-digit code
+ */
+function formatRateLine(digits) {
+  return `${digits.substring(0, 4)}.${digits.substring(4, 6)}.${digits.substring(6, 8)}`;
+}
+
+/**
+ * Build training documents from the dataset's rate lines. Statistical
+ * suffixes add their own wording to the 8-digit line they belong to.
+ * @param {Object} dataset - HTS dataset ({ entries })
+ * @returns {Array<Object>} - Documents ({ htsCode, text })
+ */
+function readDescriptionDocuments(dataset) {
+  return Object.entries(dataset.entries)
+    .filter(([digits, entry]) => digits.length >= 8 && entry.g)
+    .map(([digits, entry]) => ({ htsCode: formatRateLine(digits), text: entry.d }));
+}
+
+/**
+ * Read the labeled Amazon listings
+ * @param {string} filePath - Path to the listings CSV
+ * @param {Set<string>} knownCodes - 8-digit codes in the dataset
+ * @returns {Array<Object>} - Documents ({ htsCode, text })
+ */
+function readListingDocuments(filePath, knownCodes) {
+  const [header, ...rows] = parseCSV(fs.readFileSync(filePath, 'utf8').replace(/^\uFEFF/, ''));
+  const column = name => {
+    const index = header.findIndex(title => title.trim().toLowerCase() === name);
+    if (index === -1) throw new Error(`Listings file is missing the "${name}" column`);
+    return index;
+  };
+  const columns = { title: column('title'), breadcrumb: column('breadcrumb'), htsno: column('hts number') };
+
+  return rows.map((fields, index) => {
+    const htsCode = formatRateLine((fields[columns.htsno] || '').replace(/\D/g, ''));
+    if (!knownCodes.has(htsCode)) {
+      throw new Error(`Row ${index + 2} of ${filePath} uses ${htsCode}, which isn't a rate line in the HTS dataset`);
+    }
+    return { htsCode, text: `${fields[columns.title]} ${fields[columns.breadcrumb]}` };
+  });
+}
+
+/**
+ * Train a multinomial naive Bayes model
+ * @param {Array<Object>} documents - Tokenized documents ({ htsCode, words })
+ * @param {Array<string>} classes - HTS codes the model can suggest
+ * @returns {Object} - Model ({ classes, priors, unseen, words })
+ */
+function train(documents, classes) {
+  const classIndex = new Map(classes.map((htsCode, index) => [htsCode, index]));
+  const documentCounts = classes.map(() => 0);
+  const wordTotals = classes.map(() => 0);
+  const wordCounts = {};
+
+  documents.forEach(document => {
+    const index = classIndex.get(document.htsCode);
+    documentCounts[index]++;
+    document.words.forEach(word => {
+      const counts = wordCounts[word] || (wordCounts[word] = {});
+      counts[index] = (counts[index] || 0) + 1;
+      wordTotals[index]++;
+    });
+  });
+
+  const vocabularySize = Object.keys(wordCounts).length;
+  const round = value => Math.round(value * 1000) / 1000;
+  const denominators = wordTotals.map(total => total + SMOOTHING * vocabularySize);
+
+  const words = {};
+  Object.entries(wordCounts).forEach(([word, counts]) => {
+    words[word] = {};
+    Object.entries(counts).forEach(([index, count]) => {
+      words[word][index] = round(Math.log((count + SMOOTHING) / denominators[index]));
+    });
+  });
+
+  return {
+    classes,
+    priors: documentCounts.map(count => round(Math.log((count + 1) / (documents.length + classes.length)))),
+    unseen: denominators.map(denominator => round(Math.log(SMOOTHING / denominator))),
+    words
+  };
+}
+
+/**
+ * Leave each labeled listing out in turn and score it with the model trained
+ * on everything else
+ * @param {Array<Object>} descriptions - Tokenized description documents
+ * @param {Array<Object>} listings - Tokenized listing documents
+ * @param {Array<string>} classes - HTS codes
+ * @param {Object} classifier - Globals of scripts/htsclassifier.js
+ * @returns {Array<Object>} - Held-out results ({ answer, logScores, wordCount })
+ */
+function leaveOneOut(descriptions, listings, classes, classifier) {
+  return listings.map((listing, held) => {
+    const model = train([...descriptions, ...listings.filter((other, index) => index !== held)], classes);
+    const { known, logScores } = classifier.scoreHTSClasses(model, [{ source: 'listing', text: listing.text }]);
+    return { answer: classes.indexOf(listing.htsCode), logScores, wordCount: known.length };
+  });
+}
+
+/**
+ * Pick the temperature that makes the held-out probabilities honest, i.e.
+ * the one with the lowest log loss on the right answers
+ * @param {Array<Object>} results - Held-out results from leaveOneOut
+ * @param {Function} calibrate - calibrateHTSScores from scripts/htsclassifier.js
+ * @returns {number} - Temperature
+ */
+function fitTemperature(results, calibrate) {
+  let best = { temperature: 1, loss: Infinity };
+
+  for (let temperature = 0.05; temperature <= 3; temperature += 0.05) {
+    const loss = results.reduce((total, result) => {
+      const probabilities = calibrate(result.logScores, result.wordCount, temperature);
+      return total - Math.log(Math.max(probabilities[result.answer], 1e-9));
+    }, 0);
+    if (loss < best.loss) best = { temperature: Math.round(temperature * 100) / 100, loss };
+  }
+
+  return best.temperature;
+}
+
+/**
+ * Pick the lowest confidence at which the model's best guesses are still
+ * right often enough to use. Below it the model has most likely never seen
+ * anything like the product, and the extension falls back to its category
+ * rules instead of forcing it into one of the model's codes.
+ * @param {Array<Object>} results - Held-out results from leaveOneOut
+ * @param {Function} calibrate - calibrateHTSScores from scripts/htsclassifier.js
+ * @param {number} temperature - Calibrated temperature
+ * @returns {number} - Minimum confidence
+ */
+function fitMinConfidence(results, calibrate, temperature) {
+  const guesses = results
+    .map(result => {
+      const probabilities = calibrate(result.logScores, result.wordCount, temperature);
+      const best = probabilities.indexOf(Math.max(...probabilities));
+      return { confidence: probabilities[best], isRight: best === result.answer };
+    })
+    .sort((a, b) => b.confidence - a.confidence);
+
+  // Walk down from the surest guess, keeping the lowest confidence at which
+  // the guesses so far are still precise enough
+  let minConfidence = 1;
+  let right = 0;
+  guesses.forEach((guess, index) => {
+    if (guess.isRight) right++;
+    if (right / (index + 1) >= MIN_MATCH_PRECISION) minConfidence = guess.confidence;
+  });
+
+  return Math.round(minConfidence * 1000) / 1000;
+}
+
+/**
+ * Summarize the held-out results
+ * @param {Array<Object>} results - Held-out results from leaveOneOut
+ * @param {Function} calibrate - calibrateHTSScores from scripts/htsclassifier.js
+ * @param {number} temperature - Calibrated temperature
+ * @param {number} minConfidence - Confidence below which guesses aren't used
+ * @returns {Object} - Accuracy and mean confidence ({ top1, top3, confidence }), and the share of
+ *   listings matched at minConfidence or above with the top-1 accuracy on those ({ matched, matchedTop1 })
+ */
+function summarize(results, calibrate, temperature, minConfidence) {
+  let top1 = 0;
+  let top3 = 0;
+  let confidence = 0;
+  let matched = 0;
+  let matchedTop1 = 0;
+
+  results.forEach(result => {
+    const probabilities = calibrate(result.logScores, result.wordCount, temperature);
+    const ranked = probabilities.map((probability, index) => index).sort((a, b) => probabilities[b] - probabilities[a]);
+    if (ranked[0] === result.answer) top1++;
+    if (ranked.slice(0, 3).includes(result.answer)) top3++;
+    confidence += probabilities[ranked[0]];
+    if (probabilities[ranked[0]] >= minConfidence) {
+      matched++;
+      if (ranked[0] === result.answer) matchedTop1++;
+    }
+  });
+
+  return {
+    top1: top1 / results.length,
+    top3: top3 / results.length,
+    confidence: confidence / results.length,
+    matched: matched / results.length,
+    matchedTop1: matched > 0 ? matchedTop1 / matched : 0
+  };
+}
+
+function main() {
+  const listingsPath = process.argv[2] || LISTINGS_PATH;
+
+  const classifier = loadClassifierScript();
+  const tokenize = classifier.tokenizeClassifierText;
+
+  const dataset = JSON.parse(zlib.gunzipSync(fs.readFileSync(DATASET_PATH)));
+  const tokenized = documents => documents.map(document => ({ ...document, words: tokenize(document.text) }));
+
+  const descriptions = tokenized(readDescriptionDocuments(dataset));
+  const classes = [...new Set(descriptions.map(document => document.htsCode))].sort();
+  const listings = tokenized(readListingDocuments(listingsPath, new Set(classes)));
+
+  const results = leaveOneOut(descriptions, listings, classes, classifier);
+  const temperature = fitTemperature(results, classifier.calibrateHTSScores);
+  const minConfidence = fitMinConfidence(results, classifier.calibrateHTSScores, temperature);
+  const accuracy = summarize(results, classifier.calibrateHTSScores, temperature, minConfidence);
+
+  const model = {
+    version: 1,
+    trainedAt: new Date().toISOString().substring(0, 10),
+    edition: dataset.edition,
+    documents: { descriptions: descriptions.length, listings: listings.length },
+    temperature,
+    minConfidence,
+    ...train([...descriptions, ...listings], classes)
+  };
+
+  const compressed = zlib.gzipSync(JSON.stringify(model), { level: 9 });
+  fs.writeFileSync(OUTPUT_PATH, compressed);
+
+  console.log(`Trained on ${descriptions.length} HTS descriptions and ${listings.length} listings: ` +
+              `${classes.length} codes, ${Object.keys(model.words).length} words`);
+  console.log(`Leave-one-out on the listings: ${(accuracy.top1 * 100).toFixed(1)}% top 1, ` +
+              `${(accuracy.top3 * 100).toFixed(1)}% top 3, ${(accuracy.confidence * 100).toFixed(1)}% mean confidence ` +
+              `(temperature ${temperature})`);
+  console.log(`At ${(minConfidence * 100).toFixed(1)}% confidence or above the model matches ` +
+              `${(accuracy.matched * 100).toFixed(1)}% of the listings, ${(accuracy.matchedTop1 * 100).toFixed(1)}% of them ` +
+              'correctly; below it products fall back to the category rules');
+  console.log(`Wrote ${compressed.length} bytes to ${OUTPUT_PATH}`);
+}
+
+main();